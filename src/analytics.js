@@ -0,0 +1,272 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+export const STATS_GRANULARITIES = ['hour', 'day'];
+
+// Dimensions every send is rolled up by. 'none' is the overall total;
+// errorType only counts failures.
+export const STATS_GROUP_BY = ['none', 'tenant', 'provider', 'country', 'errorType'];
+
+// Upper bounds (ms) of the latency histogram kept in each rollup
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+
+const PERCENTILES = [50, 90, 99];
+
+const GRANULARITY_MS = {
+  hour: 3600000,
+  day: 86400000
+};
+
+// Parses "KES 0.8000" into { currency: 'KES', amount: 0.8 }
+export function parseCost(cost) {
+  const match = /^(?:([A-Z]{3})\s*)?(\d+(?:\.\d+)?)$/.exec(String(cost || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return { currency: match[1] || 'unknown', amount: parseFloat(match[2]) };
+}
+
+// Hourly and daily counters per tenant, provider, country and error type,
+// written as each send attempt finishes so stats never scan raw logs. Each
+// rollup is a hash of "{value}|{metric}" fields, kept both globally and
+// per tenant so a tenant's stats can be grouped by any dimension.
+class Analytics {
+  rollupKey(granularity, bucket, scope, dimension) {
+    return `sms_stats:${granularity}:${bucket}:${scope}:${dimension}`;
+  }
+
+  bucketFor(time, granularity) {
+    const iso = new Date(time).toISOString();
+    return granularity === 'hour' ? iso.slice(0, 13) : iso.slice(0, 10);
+  }
+
+  bucketStart(bucket, granularity) {
+    return granularity === 'hour' ? `${bucket}:00:00.000Z` : `${bucket}T00:00:00.000Z`;
+  }
+
+  retentionSeconds(granularity) {
+    return (granularity === 'hour' ? config.analytics.hourlyRetentionDays : config.analytics.dailyRetentionDays) * 86400;
+  }
+
+  latencyBucket(latencyMs) {
+    return LATENCY_BUCKETS_MS.find(bound => latencyMs <= bound) || 'inf';
+  }
+
+  // Field increments for one send attempt
+  increments({ status, segments, cost, latencyMs }) {
+    const fields = { total: 1, [status]: 1 };
+
+    if (status === 'success') {
+      fields.segments = segments || 1;
+
+      const parsed = parseCost(cost);
+      if (parsed && parsed.amount > 0) {
+        // Stored in millionths so HINCRBY stays exact
+        fields[`costMicros:${parsed.currency}`] = Math.round(parsed.amount * 1e6);
+      }
+
+      if (typeof latencyMs === 'number') {
+        fields[`latency:${this.latencyBucket(latencyMs)}`] = 1;
+      }
+    }
+
+    return fields;
+  }
+
+  async record(entry) {
+    const redis = redisClient.getClient();
+
+    try {
+      const time = Date.parse(entry.timestamp) || Date.now();
+      const fields = this.increments(entry);
+      const dimensions = {
+        none: '*',
+        tenant: entry.tenantId || 'none',
+        provider: entry.provider || 'none',
+        country: entry.country || 'unknown',
+        errorType: entry.status === 'failed' ? entry.errorType || 'unknown' : null
+      };
+      const scopes = entry.tenantId ? ['global', `tenant:${entry.tenantId}`] : ['global'];
+      const pipeline = redis.pipeline();
+
+      for (const granularity of STATS_GRANULARITIES) {
+        const bucket = this.bucketFor(time, granularity);
+
+        for (const scope of scopes) {
+          for (const [dimension, value] of Object.entries(dimensions)) {
+            if (value === null) {
+              continue;
+            }
+
+            const key = this.rollupKey(granularity, bucket, scope, dimension);
+            for (const [metric, amount] of Object.entries(fields)) {
+              pipeline.hincrby(key, `${value}|${metric}`, amount);
+            }
+            pipeline.expire(key, this.retentionSeconds(granularity));
+          }
+        }
+      }
+
+      await pipeline.exec();
+    } catch (error) {
+      console.error('Failed to record analytics:', error);
+    }
+  }
+
+  parseRange({ from, to, granularity = 'day' }) {
+    if (!STATS_GRANULARITIES.includes(granularity)) {
+      throw new ValidationError(`granularity must be one of: ${STATS_GRANULARITIES.join(', ')}`);
+    }
+
+    const end = to ? Date.parse(to) : Date.now();
+    const start = from ? Date.parse(from) : end - (granularity === 'hour' ? 86400000 : 7 * 86400000);
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new ValidationError('from and to must be ISO 8601 dates');
+    }
+
+    if (start > end) {
+      throw new ValidationError('from must be before to');
+    }
+
+    const buckets = [];
+    const step = GRANULARITY_MS[granularity];
+    for (let time = Date.parse(this.bucketStart(this.bucketFor(start, granularity), granularity)); time <= end; time += step) {
+      buckets.push(this.bucketFor(time, granularity));
+    }
+
+    if (buckets.length > config.analytics.maxBuckets) {
+      throw new ValidationError(`Range covers ${buckets.length} ${granularity} buckets; the maximum is ${config.analytics.maxBuckets}`);
+    }
+
+    return { start, end, buckets };
+  }
+
+  // Time series for a range, one entry per bucket, plus totals for the whole
+  // range. tenantId limits the stats to that tenant's sends.
+  async getStats({ from, to, granularity = 'day', groupBy = 'none', tenantId = null } = {}) {
+    if (!STATS_GROUP_BY.includes(groupBy)) {
+      throw new ValidationError(`groupBy must be one of: ${STATS_GROUP_BY.join(', ')}`);
+    }
+
+    const { start, end, buckets } = this.parseRange({ from, to, granularity });
+    const redis = redisClient.getClient();
+    const scope = tenantId ? `tenant:${tenantId}` : 'global';
+
+    const pipeline = redis.pipeline();
+    buckets.forEach(bucket => pipeline.hgetall(this.rollupKey(granularity, bucket, scope, groupBy)));
+    const results = await pipeline.exec();
+
+    const totals = {};
+    const series = buckets.map((bucket, index) => {
+      const [error, hash] = results[index];
+      if (error) {
+        throw error;
+      }
+
+      const groups = this.parseGroups(hash || {});
+      Object.entries(groups).forEach(([key, counters]) => {
+        totals[key] = this.mergeCounters(totals[key], counters);
+      });
+
+      return {
+        bucket: this.bucketStart(bucket, granularity),
+        groups: this.summarizeGroups(groups)
+      };
+    });
+
+    return {
+      granularity,
+      groupBy,
+      tenantId,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      series,
+      totals: this.summarizeGroups(totals)
+    };
+  }
+
+  // "{value}|{metric}" fields -> { value: { metric: count } }
+  parseGroups(hash) {
+    const groups = {};
+
+    for (const [field, count] of Object.entries(hash)) {
+      const separator = field.lastIndexOf('|');
+      const key = field.slice(0, separator);
+      const metric = field.slice(separator + 1);
+
+      groups[key] = groups[key] || {};
+      groups[key][metric] = parseInt(count);
+    }
+
+    return groups;
+  }
+
+  mergeCounters(target = {}, counters) {
+    for (const [metric, count] of Object.entries(counters)) {
+      target[metric] = (target[metric] || 0) + count;
+    }
+    return target;
+  }
+
+  summarizeGroups(groups) {
+    return Object.entries(groups)
+      .map(([key, counters]) => ({ key, ...this.summarize(counters) }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  summarize(counters) {
+    const success = counters.success || 0;
+    const failed = counters.failed || 0;
+    const cost = {};
+    const latency = {};
+
+    for (const [metric, count] of Object.entries(counters)) {
+      if (metric.startsWith('costMicros:')) {
+        cost[metric.slice('costMicros:'.length)] = count / 1e6;
+      } else if (metric.startsWith('latency:')) {
+        latency[metric.slice('latency:'.length)] = count;
+      }
+    }
+
+    return {
+      total: counters.total || 0,
+      success,
+      failed,
+      throttled: counters.throttled || 0,
+      // Throttled attempts are retried, so they do not count against the rate
+      successRate: success + failed > 0 ? Number((success / (success + failed)).toFixed(4)) : null,
+      segments: counters.segments || 0,
+      cost,
+      latencyMs: this.percentiles(latency)
+    };
+  }
+
+  // Percentiles are the upper bound of the histogram bucket they fall in,
+  // capped at the largest bucket
+  percentiles(histogram) {
+    const bounds = [...LATENCY_BUCKETS_MS, 'inf'];
+    const count = bounds.reduce((sum, bound) => sum + (histogram[bound] || 0), 0);
+    const result = {};
+
+    for (const percentile of PERCENTILES) {
+      if (count === 0) {
+        result[`p${percentile}`] = null;
+        continue;
+      }
+
+      let seen = 0;
+      const bound = bounds.find(candidate => {
+        seen += histogram[candidate] || 0;
+        return seen >= (percentile / 100) * count;
+      });
+      result[`p${percentile}`] = bound === 'inf' ? LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1] : bound;
+    }
+
+    return result;
+  }
+}
+
+export const analytics = new Analytics();
@@ -1,7 +1,29 @@
 import express from 'express';
 import { queueProcessor } from './queueProcessor.js';
+import { config } from './config.js';
 import { smsService } from './smsService.js';
 import { redisClient } from './redis.js';
+import { deliveryTracker } from './deliveryTracker.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from './webhookDispatcher.js';
+import { apiKeyAuth, API_KEY_SCOPES } from './auth.js';
+import { templateStore } from './templateStore.js';
+import { ValidationError, BudgetExceededError } from './errors.js';
+import { smsSegmenter } from './segmentation.js';
+import { tenantSettings } from './tenantSettings.js';
+import { suppressionList, GLOBAL_SCOPE } from './suppressionList.js';
+import { phoneNumbers } from './phoneNumbers.js';
+import { conversationStore } from './conversationStore.js';
+import { keywordRules } from './keywordRules.js';
+import { idempotencyStore } from './idempotencyStore.js';
+import { deadLetterStore } from './deadLetterStore.js';
+import { rateLimitPolicies, RATE_LIMIT_SCOPES } from './rateLimitPolicies.js';
+import { senderIds, SENDER_ID_TYPES } from './senderIds.js';
+import { analytics } from './analytics.js';
+import { spendTracker } from './spendTracker.js';
+import { campaignStore } from './campaignStore.js';
+import { bulkImporter, IMPORT_FORMATS } from './bulkImporter.js';
+import { trafficLanes } from './trafficLanes.js';
+import { sendScheduler } from './sendScheduler.js';
 
 class APIRouter {
   constructor() {
@@ -10,29 +32,130 @@ class APIRouter {
   }
 
   setupRoutes() {
+    const requireSms = apiKeyAuth.requireScope('sms');
+    const requireAdmin = apiKeyAuth.requireScope('admin');
+    const idempotent = idempotencyStore.middleware();
+    const requireCallback = apiKeyAuth.requireCallbackSecret();
+
     // Send single SMS
-    this.router.post('/sms/send', this.sendSMS.bind(this));
+    this.router.post('/sms/send', requireSms, idempotent, this.sendSMS.bind(this));
     
     // Send bulk SMS
-    this.router.post('/sms/bulk', this.sendBulkSMS.bind(this));
+    this.router.post('/sms/bulk', requireSms, idempotent, this.sendBulkSMS.bind(this));
+    
+    // Bulk upload from a CSV or NDJSON file
+    this.router.post('/sms/bulk/upload', requireSms, this.uploadBulkSMS.bind(this));
+    this.router.get('/sms/imports/:importId', requireSms, this.getImport.bind(this));
+    this.router.get('/sms/imports/:importId/errors', requireSms, this.getImportErrors.bind(this));
+    
+    // Campaigns created by bulk sends
+    this.router.get('/campaigns', requireSms, this.listCampaigns.bind(this));
+    this.router.get('/campaigns/:campaignId', requireSms, this.getCampaign.bind(this));
+    this.router.get('/campaigns/:campaignId/report', requireSms, this.getCampaignReport.bind(this));
+    this.router.post('/campaigns/:campaignId/pause', requireSms, this.pauseCampaign.bind(this));
+    this.router.post('/campaigns/:campaignId/resume', requireSms, this.resumeCampaign.bind(this));
+    this.router.post('/campaigns/:campaignId/cancel', requireSms, this.cancelCampaign.bind(this));
+    
+    // Preview encoding and segment count
+    this.router.post('/sms/analyze', requireSms, this.analyzeMessage.bind(this));
+    
+    // Scheduled sends
+    this.router.get('/sms/scheduled', requireSms, this.listScheduledSMS.bind(this));
+    this.router.patch('/sms/scheduled/:jobId', requireSms, this.rescheduleSMS.bind(this));
+    this.router.delete('/sms/scheduled/:jobId', requireSms, this.cancelScheduledSMS.bind(this));
+    
+    // Cancel or retry a job
+    this.router.post('/sms/jobs/:jobId/cancel', requireSms, this.cancelJob.bind(this));
+    this.router.post('/sms/jobs/:jobId/retry', requireSms, this.retryJob.bind(this));
+    
+    // Dead-lettered jobs
+    this.router.get('/dead-letters', requireSms, this.listDeadLetters.bind(this));
+    this.router.get('/dead-letters/export', requireSms, this.exportDeadLetters.bind(this));
+    this.router.post('/dead-letters/retry', requireSms, this.retryDeadLetters.bind(this));
+    this.router.get('/dead-letters/:jobId', requireSms, this.getDeadLetter.bind(this));
+    this.router.delete('/dead-letters', requireSms, this.purgeDeadLetters.bind(this));
+    this.router.delete('/dead-letters/:jobId', requireSms, this.deleteDeadLetter.bind(this));
     
     // Get SMS status
-    this.router.get('/sms/status/:jobId', this.getSMSStatus.bind(this));
+    this.router.get('/sms/status/:jobId', requireSms, this.getSMSStatus.bind(this));
+    
+    // Get webhook deliveries for a job
+    this.router.get('/sms/status/:jobId/webhooks', requireSms, this.getWebhookDeliveries.bind(this));
+    
+    // Provider delivery report callbacks
+    this.router.post('/sms/delivery-reports/:provider', requireCallback, this.receiveDeliveryReport.bind(this));
+    
+    // Provider inbound message callbacks
+    this.router.post('/sms/inbound/:provider', requireCallback, this.receiveInboundMessage.bind(this));
     
     // Get queue stats
-    this.router.get('/queue/stats', this.getQueueStats.bind(this));
+    this.router.get('/queue/stats', requireAdmin, this.getQueueStats.bind(this));
     
     // Get delivery logs
-    this.router.get('/sms/logs', this.getDeliveryLogs.bind(this));
+    this.router.get('/sms/logs', requireAdmin, this.getDeliveryLogs.bind(this));
     
     // Get daily stats
-    this.router.get('/sms/stats/daily', this.getDailyStats.bind(this));
+    this.router.get('/sms/stats/daily', requireAdmin, this.getDailyStats.bind(this));
+    
+    // Hourly or daily time series, grouped by tenant, provider, country or error type
+    this.router.get('/sms/stats', requireSms, this.getStats.bind(this));
+    
+    // Spend against the tenant's budget
+    this.router.get('/spend', requireSms, this.getSpend.bind(this));
     
     // Get rate limit status
-    this.router.get('/rate-limit/:identifier', this.getRateLimitStatus.bind(this));
+    this.router.get('/rate-limit/:identifier', requireSms, this.getRateLimitStatus.bind(this));
     
     // Reset rate limit
-    this.router.post('/rate-limit/:identifier/reset', this.resetRateLimit.bind(this));
+    this.router.post('/rate-limit/:identifier/reset', requireAdmin, this.resetRateLimit.bind(this));
+    
+    // Rate limit policies
+    this.router.get('/admin/rate-limit-policies', requireAdmin, this.listRateLimitPolicies.bind(this));
+    this.router.put('/admin/rate-limit-policies/:policyId', requireAdmin, this.setRateLimitPolicy.bind(this));
+    this.router.delete('/admin/rate-limit-policies/:policyId', requireAdmin, this.deleteRateLimitPolicy.bind(this));
+    
+    // Sender IDs and short codes
+    this.router.get('/sender-ids', requireSms, this.listSenderIds.bind(this));
+    this.router.put('/admin/sender-ids/:senderId', requireAdmin, this.setSenderId.bind(this));
+    this.router.delete('/admin/sender-ids/:senderId', requireAdmin, this.deleteSenderId.bind(this));
+    
+    // Webhook subscriptions
+    this.router.post('/webhooks/subscriptions', requireSms, this.createWebhookSubscription.bind(this));
+    this.router.get('/webhooks/subscriptions/:identifier', requireSms, this.listWebhookSubscriptions.bind(this));
+    this.router.delete('/webhooks/subscriptions/:identifier/:subscriptionId', requireSms, this.deleteWebhookSubscription.bind(this));
+    
+    // Conversations
+    this.router.get('/conversations', requireSms, this.listConversations.bind(this));
+    this.router.get('/conversations/:number', requireSms, this.getConversation.bind(this));
+    
+    // Keyword auto-reply rules
+    this.router.get('/keyword-rules', requireSms, this.listKeywordRules.bind(this));
+    this.router.put('/keyword-rules/:keyword', requireSms, this.setKeywordRule.bind(this));
+    this.router.delete('/keyword-rules/:keyword', requireSms, this.deleteKeywordRule.bind(this));
+    
+    // Suppression list
+    this.router.get('/suppressions', requireSms, this.listSuppressions.bind(this));
+    this.router.post('/suppressions', requireSms, this.addSuppression.bind(this));
+    this.router.post('/suppressions/import', requireSms, this.importSuppressions.bind(this));
+    this.router.delete('/suppressions/:number', requireSms, this.removeSuppression.bind(this));
+    
+    // Message templates
+    this.router.post('/templates', requireSms, this.createTemplate.bind(this));
+    this.router.get('/templates', requireSms, this.listTemplates.bind(this));
+    this.router.get('/templates/:templateId', requireSms, this.getTemplate.bind(this));
+    this.router.get('/templates/:templateId/versions', requireSms, this.listTemplateVersions.bind(this));
+    this.router.put('/templates/:templateId', requireSms, this.updateTemplate.bind(this));
+    this.router.delete('/templates/:templateId', requireSms, this.deleteTemplate.bind(this));
+    
+    // Tenant settings
+    this.router.get('/admin/tenants/:tenantId/settings', requireAdmin, this.getTenantSettings.bind(this));
+    this.router.put('/admin/tenants/:tenantId/settings', requireAdmin, this.updateTenantSettings.bind(this));
+    
+    // API key management
+    this.router.post('/admin/api-keys', requireAdmin, this.createApiKey.bind(this));
+    this.router.get('/admin/api-keys', requireAdmin, this.listApiKeys.bind(this));
+    this.router.post('/admin/api-keys/:keyId/rotate', requireAdmin, this.rotateApiKey.bind(this));
+    this.router.delete('/admin/api-keys/:keyId', requireAdmin, this.revokeApiKey.bind(this));
     
     // Health check
     this.router.get('/health', this.healthCheck.bind(this));
@@ -40,33 +163,69 @@ class APIRouter {
 
   async sendSMS(req, res) {
     try {
-      const { to, message, identifier, priority, metadata } = req.body;
+      const { to, defaultCountry, message, templateId, templateVersion, variables, identifier, trafficClass, from, metadata, callbackUrl, sendAt, ignoreQuietHours } = req.body;
 
       // Validate required fields
-      if (!to || !message) {
+      if (!to || (!message && !templateId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: to, and message or templateId'
+        });
+      }
+
+      if (callbackUrl && !this.isValidCallbackUrl(callbackUrl)) {
         return res.status(400).json({
           success: false,
-          error: 'Missing required fields: to, message'
+          error: 'callbackUrl must be an http or https URL on a public host'
         });
       }
 
       // Add to queue
       const job = await queueProcessor.addSMSJob({
         to,
-        message,
-        identifier: identifier || 'api',
-        priority: priority || 0,
-        metadata: metadata || {}
+        defaultCountry,
+        message: templateId ? undefined : message,
+        templateId,
+        templateVersion,
+        variables,
+        identifier: apiKeyAuth.scopeIdentifier(req.tenant, identifier || 'api'),
+        tenantId: req.tenant?.id || null,
+        trafficClass,
+        from: from || null,
+        metadata: metadata || {},
+        callbackUrl: callbackUrl || null,
+        sendAt,
+        ignoreQuietHours: ignoreQuietHours === true
       });
+      idempotencyStore.markCommitted(res);
 
       res.status(202).json({
         success: true,
         jobId: job.id,
         message: 'SMS queued for delivery',
-        queuePosition: await job.getQueuePosition()
+        to: job.data.to,
+        recipient: job.data.recipient,
+        encoding: job.data.encoding,
+        segments: job.data.segments,
+        scheduledFor: job.data.scheduledFor,
+        quietHoursAdjusted: job.data.quietHoursAdjusted,
+        trafficClass: job.data.trafficClass,
+        from: job.data.from
       });
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return this.budgetExceeded(res, error);
+      }
+
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
       console.error('Error queuing SMS:', error);
       res.status(500).json({
         success: false,
@@ -78,7 +237,7 @@ class APIRouter {
 
   async sendBulkSMS(req, res) {
     try {
-      const { messages, identifier, priority } = req.body;
+      const { messages, identifier, trafficClass, from, callbackUrl, templateId, templateVersion, defaultCountry, sendAt, ignoreQuietHours, campaignName } = req.body;
 
       // Validate required fields
       if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -90,26 +249,63 @@ class APIRouter {
 
       // Validate each message
       for (const msg of messages) {
-        if (!msg.to || !msg.message) {
+        if (!msg.to || (!msg.message && !msg.templateId && !templateId)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Each message must contain to and either message or templateId'
+          });
+        }
+
+        const messageCallbackUrl = msg.callbackUrl || callbackUrl;
+        if (messageCallbackUrl && !this.isValidCallbackUrl(messageCallbackUrl)) {
           return res.status(400).json({
             success: false,
-            error: 'Each message must contain to and message fields'
+            error: 'callbackUrl must be an http or https URL on a public host'
           });
         }
       }
 
-      // Add to queue
-      const results = await queueProcessor.addBulkSMSJobs(messages, {
-        identifier: identifier || 'bulk-api',
-        priority: priority || 0
+      // Checked before the campaign is created so a bad request leaves none behind
+      const resolvedTrafficClass = trafficLanes.resolve(trafficClass, config.queue.defaultBulkTrafficClass);
+      const { budget } = await tenantSettings.get(req.tenant?.id || null);
+      await spendTracker.assertWithinBudget(req.tenant?.id || null, budget);
+
+      // Track the batch as a campaign
+      const campaign = await campaignStore.createCampaign(req.tenant?.id || null, {
+        name: campaignName,
+        createdBy: req.tenant?.keyId || null,
+        trafficClass: resolvedTrafficClass,
+        total: messages.length
       });
+      idempotencyStore.markCommitted(res);
+
+      // Add to queue
+      // A per-message message or templateId overrides the batch-level template
+      const results = await queueProcessor.addBulkSMSJobs(messages.map(msg => ({
+        to: msg.to,
+        defaultCountry: msg.defaultCountry || defaultCountry,
+        message: msg.message,
+        ...this.bulkTemplateFields(msg, templateId, templateVersion),
+        identifier: apiKeyAuth.scopeIdentifier(req.tenant, identifier || 'bulk-api'),
+        tenantId: req.tenant?.id || null,
+        trafficClass: resolvedTrafficClass,
+        from: msg.from || from || null,
+        metadata: msg.metadata || {},
+        callbackUrl: msg.callbackUrl || callbackUrl || null,
+        sendAt: msg.sendAt || sendAt,
+        ignoreQuietHours: ignoreQuietHours === true,
+        idempotencyKey: msg.idempotencyKey,
+        campaignId: campaign.id
+      })));
 
       const successful = results.filter(r => r.success);
       const failed = results.filter(r => !r.success);
+      await campaignStore.setAccepted(campaign.id, successful.length, failed.length);
 
       res.status(202).json({
         success: true,
         message: `Bulk SMS processing started`,
+        campaignId: campaign.id,
         total: messages.length,
         successful: successful.length,
         failed: failed.length,
@@ -117,6 +313,18 @@ class APIRouter {
       });
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return this.budgetExceeded(res, error);
+      }
+
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
       console.error('Error queuing bulk SMS:', error);
       res.status(500).json({
         success: false,
@@ -126,173 +334,2122 @@ class APIRouter {
     }
   }
 
-  async getSMSStatus(req, res) {
+  // The file is the raw request body; batch-level fields come from the query string
+  async uploadBulkSMS(req, res) {
     try {
-      const { jobId } = req.params;
+      const format = bulkImporter.formatFromContentType(req.get('content-type'));
+      const { identifier, trafficClass, from, callbackUrl, templateId, templateVersion, message, defaultCountry, sendAt, ignoreQuietHours, campaignName } = req.query;
 
-      if (!jobId) {
+      if (!format) {
+        return res.status(415).json({
+          success: false,
+          error: `Content-Type must be text/csv or application/x-ndjson (supported formats: ${IMPORT_FORMATS.join(', ')})`
+        });
+      }
+
+      if (callbackUrl && !this.isValidCallbackUrl(callbackUrl)) {
         return res.status(400).json({
           success: false,
-          error: 'Job ID is required'
+          error: 'callbackUrl must be an http or https URL on a public host'
+        });
+      }
+
+      // Checked before the campaign is created so a bad request leaves none
+      // behind; a batch-level sendAt that is invalid would fail every row
+      const resolvedTrafficClass = trafficLanes.resolve(trafficClass, config.queue.defaultBulkTrafficClass);
+      if (sendAt) {
+        sendScheduler.parseSendAt(sendAt);
+      }
+      const { budget } = await tenantSettings.get(req.tenant?.id || null);
+      await spendTracker.assertWithinBudget(req.tenant?.id || null, budget);
+
+      // The file is written to disk first and imported in the background,
+      // so a large upload is not bounded by the request timeout
+      const file = await bulkImporter.spool(req);
+
+      const tenantId = req.tenant?.id || null;
+      let campaign;
+      let record;
+      try {
+        campaign = await campaignStore.createCampaign(tenantId, {
+          name: campaignName,
+          createdBy: req.tenant?.keyId || null,
+          trafficClass: resolvedTrafficClass,
+          total: null
         });
+        record = await bulkImporter.createImport(tenantId, { format, campaignId: campaign.id });
+      } catch (error) {
+        await bulkImporter.discard(file);
+        throw error;
       }
 
-      const jobStatus = await queueProcessor.getJobStatus(jobId);
+      res.status(202).json({
+        success: true,
+        message: 'Bulk upload accepted; poll the import for progress',
+        importId: record.id,
+        campaignId: campaign.id,
+        import: record
+      });
+
+      this.importUpload(campaign.id, record, file, {
+        identifier: apiKeyAuth.scopeIdentifier(req.tenant, identifier || 'bulk-api'),
+        tenantId,
+        trafficClass: resolvedTrafficClass,
+        from: from || null,
+        callbackUrl: callbackUrl || null,
+        templateId,
+        templateVersion: templateVersion ? parseInt(templateVersion) : undefined,
+        message,
+        defaultCountry,
+        sendAt,
+        ignoreQuietHours: ignoreQuietHours === 'true',
+        campaignId: campaign.id
+      });
+
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return this.budgetExceeded(res, error);
+      }
+
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Error importing bulk SMS:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import bulk SMS',
+        details: error.message
+      });
+    }
+  }
+
+  // Runs after the upload has been answered, so every failure ends here: the
+  // import is marked failed and its campaign is closed with the counts
+  // gathered so far, rather than left waiting for a total that never comes
+  async importUpload(campaignId, record, file, defaults) {
+    try {
+      await bulkImporter.runSpooled(record, file, defaults);
+    } catch (error) {
+      console.error(`Bulk import ${record.id} failed:`, error);
+      await bulkImporter.fail(record, error);
+    }
+
+    try {
+      // The row count is only known once the whole file has been read
+      const campaign = await campaignStore.getCampaign(campaignId);
+      await campaignStore.saveCampaign({ ...campaign, total: record.rows });
+      await campaignStore.setAccepted(campaignId, record.queued, record.failed);
+    } catch (error) {
+      console.error(`Failed to finish campaign ${campaignId} for import ${record.id}:`, error);
+      await bulkImporter.fail(record, error);
+    }
+  }
+
+  async getImport(req, res) {
+    try {
+      const record = await bulkImporter.getImport(req.params.importId);
 
-      if (!jobStatus) {
+      if (!this.canAccessTenantRecord(req, record)) {
         return res.status(404).json({
           success: false,
-          error: 'Job not found'
+          error: 'Import not found'
         });
       }
 
       res.json({
         success: true,
-        job: jobStatus
+        import: record
       });
 
     } catch (error) {
-      console.error('Error getting SMS status:', error);
+      console.error('Error getting import:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get SMS status',
+        error: 'Failed to get import',
         details: error.message
       });
     }
   }
 
-  async getQueueStats(req, res) {
+  async getImportErrors(req, res) {
     try {
-      const stats = await queueProcessor.getQueueStats();
-      const metrics = await queueProcessor.getJobMetrics(10);
+      const record = await bulkImporter.getImport(req.params.importId);
+
+      if (!this.canAccessTenantRecord(req, record)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import not found'
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = parseInt(req.query.offset) || 0;
 
       res.json({
         success: true,
-        stats,
-        recentMetrics: metrics
+        importId: record.id,
+        failed: record.failed,
+        errors: await bulkImporter.getErrors(record.id, { limit, offset }),
+        pagination: {
+          limit,
+          offset
+        }
       });
 
     } catch (error) {
-      console.error('Error getting queue stats:', error);
+      console.error('Error getting import errors:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get queue stats',
+        error: 'Failed to get import errors',
         details: error.message
       });
     }
   }
 
-  async getDeliveryLogs(req, res) {
+  async listCampaigns(req, res) {
     try {
-      const limit = parseInt(req.query.limit) || 50;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
       const offset = parseInt(req.query.offset) || 0;
-
-      const logs = await smsService.getDeliveryLogs(limit, offset);
+      const campaigns = await campaignStore.listCampaigns(this.resolveTenantId(req), { limit, offset });
 
       res.json({
         success: true,
-        logs,
+        campaigns,
         pagination: {
           limit,
-          offset,
-          total: logs.length
+          offset
         }
       });
 
     } catch (error) {
-      console.error('Error getting delivery logs:', error);
+      console.error('Error listing campaigns:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get delivery logs',
+        error: 'Failed to list campaigns',
         details: error.message
       });
     }
   }
 
-  async getDailyStats(req, res) {
+  async getCampaign(req, res) {
     try {
-      const date = req.query.date || new Date().toISOString().split('T')[0];
-      const stats = await smsService.getDailyStats(date);
+      const campaign = await campaignStore.getWithProgress(req.params.campaignId);
+
+      if (!this.canAccessTenantRecord(req, campaign)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
 
       res.json({
         success: true,
-        stats
+        campaign
       });
 
     } catch (error) {
-      console.error('Error getting daily stats:', error);
+      console.error('Error getting campaign:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get daily stats',
+        error: 'Failed to get campaign',
         details: error.message
       });
     }
   }
 
-  async getRateLimitStatus(req, res) {
+  async getCampaignReport(req, res) {
     try {
-      const { identifier } = req.params;
+      const campaign = await campaignStore.getCampaign(req.params.campaignId);
 
-      if (!identifier) {
-        return res.status(400).json({
+      if (!this.canAccessTenantRecord(req, campaign)) {
+        return res.status(404).json({
           success: false,
-          error: 'Identifier is required'
+          error: 'Campaign not found'
         });
       }
 
-      const status = await smsService.getRateLimitStatus(identifier);
+      if (!campaign.completedAt) {
+        return res.status(409).json({
+          success: false,
+          error: 'Campaign has not finished; use GET /campaigns/:campaignId for live progress'
+        });
+      }
 
       res.json({
         success: true,
-        identifier,
-        rateLimit: status
+        report: await campaignStore.getReport(campaign.id)
       });
 
     } catch (error) {
-      console.error('Error getting rate limit status:', error);
+      console.error('Error getting campaign report:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to get rate limit status',
+        error: 'Failed to get campaign report',
         details: error.message
       });
     }
   }
 
-  async resetRateLimit(req, res) {
+  async pauseCampaign(req, res) {
+    await this.changeCampaignStatus(req, res, {
+      allowedFrom: ['active'],
+      action: 'pause',
+      apply: campaignId => queueProcessor.pauseCampaign(campaignId)
+    });
+  }
+
+  async resumeCampaign(req, res) {
+    await this.changeCampaignStatus(req, res, {
+      allowedFrom: ['paused'],
+      action: 'resume',
+      apply: campaignId => queueProcessor.resumeCampaign(campaignId)
+    });
+  }
+
+  async cancelCampaign(req, res) {
+    await this.changeCampaignStatus(req, res, {
+      allowedFrom: ['active', 'paused'],
+      action: 'cancel',
+      apply: campaignId => queueProcessor.cancelCampaign(campaignId)
+    });
+  }
+
+  async changeCampaignStatus(req, res, { allowedFrom, action, apply }) {
     try {
-      const { identifier } = req.params;
+      const campaign = await campaignStore.getCampaign(req.params.campaignId);
 
-      if (!identifier) {
+      if (!this.canAccessTenantRecord(req, campaign)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+
+      if (!allowedFrom.includes(campaign.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot ${action} a campaign that is ${campaign.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        campaign: await apply(campaign.id)
+      });
+
+    } catch (error) {
+      console.error(`Error trying to ${action} campaign:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} campaign`,
+        details: error.message
+      });
+    }
+  }
+
+  // Campaigns and imports belong to the tenant that created them
+  canAccessTenantRecord(req, campaign) {
+    if (!campaign) {
+      return false;
+    }
+
+    return req.tenant?.scopes.includes('admin') || campaign.tenantId === (req.tenant?.id || null);
+  }
+
+  async listScheduledSMS(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const jobs = await queueProcessor.listScheduledJobs(this.resolveTenantId(req), { limit, offset });
+
+      res.json({
+        success: true,
+        jobs,
+        pagination: {
+          limit,
+          offset
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing scheduled SMS:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list scheduled SMS',
+        details: error.message
+      });
+    }
+  }
+
+  async rescheduleSMS(req, res) {
+    try {
+      const { jobId } = req.params;
+      const { sendAt, ignoreQuietHours } = req.body;
+
+      if (!sendAt) {
         return res.status(400).json({
           success: false,
-          error: 'Identifier is required'
+          error: 'Missing required field: sendAt'
         });
       }
 
-      const success = await smsService.resetRateLimit(identifier);
+      if (!await this.canAccessJob(req, jobId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
 
-      if (success) {
-        res.json({
-          success: true,
-          message: `Rate limit reset for identifier: ${identifier}`
+      const result = await queueProcessor.rescheduleJob(jobId, { sendAt, ignoreQuietHours: ignoreQuietHours === true });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
         });
-      } else {
-        res.status(500).json({
+      }
+
+      if (!result.rescheduled) {
+        return res.status(409).json({
           success: false,
-          error: 'Failed to reset rate limit'
+          error: result.scheduled === false
+            ? 'Only scheduled jobs can be rescheduled; job is delayed by throttling, a retry or a hold'
+            : `Only scheduled jobs can be rescheduled; job is ${result.state}`
         });
       }
 
+      res.json({
+        success: true,
+        jobId,
+        scheduledFor: result.scheduledFor,
+        quietHoursAdjusted: result.quietHoursAdjusted
+      });
+
     } catch (error) {
-      console.error('Error resetting rate limit:', error);
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error rescheduling SMS:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to reset rate limit',
+        error: 'Failed to reschedule SMS',
         details: error.message
       });
     }
   }
 
+  async cancelScheduledSMS(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      if (!await this.canAccessJob(req, jobId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const result = await queueProcessor.cancelJob(jobId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (!result.cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: `Job cannot be cancelled; job is ${result.state}`
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        state: result.state
+      });
+
+    } catch (error) {
+      console.error('Error cancelling scheduled SMS:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel scheduled SMS',
+        details: error.message
+      });
+    }
+  }
+
+  async canAccessJob(req, jobId) {
+    const jobStatus = await queueProcessor.getJobStatus(jobId);
+    return !!jobStatus && apiKeyAuth.canAccessIdentifier(req.tenant, jobStatus.data.identifier);
+  }
+
+  // Failed jobs may only survive in the dead-letter store
+  async canAccessFailedJob(req, jobId) {
+    if (await this.canAccessJob(req, jobId)) {
+      return true;
+    }
+
+    const entry = await deadLetterStore.get(jobId);
+    return !!entry && apiKeyAuth.canAccessIdentifier(req.tenant, entry.data.identifier);
+  }
+
+  // Admins see every tenant's dead letters unless they ask for one
+  resolveDeadLetterTenant(req) {
+    if (req.tenant?.scopes.includes('admin') && !req.query.tenantId) {
+      return undefined;
+    }
+
+    return this.resolveTenantId(req);
+  }
+
+  async cancelJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      if (!await this.canAccessJob(req, jobId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const result = await queueProcessor.cancelJob(jobId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (!result.cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: `Only waiting or delayed jobs can be cancelled; job is ${result.state}`
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        state: result.state
+      });
+
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel job',
+        details: error.message
+      });
+    }
+  }
+
+  async retryJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      if (!await this.canAccessFailedJob(req, jobId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const result = await queueProcessor.retryJob(jobId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (!result.retried) {
+        return res.status(409).json({
+          success: false,
+          error: result.campaignCancelled
+            ? 'The job\'s campaign has been cancelled'
+            : `Only failed jobs can be retried; job is ${result.state}`
+        });
+      }
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error retrying job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry job',
+        details: error.message
+      });
+    }
+  }
+
+  async listDeadLetters(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const result = await deadLetterStore.list(this.resolveDeadLetterTenant(req), {
+        limit,
+        offset,
+        reason: req.query.reason || null
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        pagination: {
+          limit,
+          offset
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list dead letters',
+        details: error.message
+      });
+    }
+  }
+
+  async getDeadLetter(req, res) {
+    try {
+      const entry = await deadLetterStore.get(req.params.jobId);
+
+      if (!entry || !apiKeyAuth.canAccessIdentifier(req.tenant, entry.data.identifier)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead letter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        entry
+      });
+
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get dead letter',
+        details: error.message
+      });
+    }
+  }
+
+  // Stream every matching entry as NDJSON (default) or a JSON array
+  async exportDeadLetters(req, res) {
+    const format = req.query.format || 'ndjson';
+
+    if (!['ndjson', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be ndjson or json'
+      });
+    }
+
+    try {
+      const tenantId = this.resolveDeadLetterTenant(req);
+      const reason = req.query.reason || null;
+      let offset = 0;
+      let first = true;
+
+      res.setHeader('Content-Type', format === 'ndjson' ? 'application/x-ndjson' : 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="dead-letters.${format}"`);
+
+      if (format === 'json') {
+        res.write('[');
+      }
+
+      do {
+        const page = await deadLetterStore.list(tenantId, { limit: 500, offset, reason });
+
+        for (const entry of page.entries) {
+          if (format === 'ndjson') {
+            res.write(`${JSON.stringify(entry)}\n`);
+          } else {
+            res.write(`${first ? '' : ','}${JSON.stringify(entry)}`);
+          }
+          first = false;
+        }
+
+        offset = page.nextOffset;
+      } while (offset !== null);
+
+      if (format === 'json') {
+        res.write(']');
+      }
+
+      res.end();
+
+    } catch (error) {
+      console.error('Error exporting dead letters:', error);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export dead letters',
+        details: error.message
+      });
+    }
+  }
+
+  async retryDeadLetters(req, res) {
+    try {
+      const { reason, limit } = req.body;
+      const results = await queueProcessor.retryDeadLetters(this.resolveDeadLetterTenant(req), {
+        reason: reason || null,
+        limit: Math.min(parseInt(limit) || 100, 1000)
+      });
+
+      res.json({
+        success: true,
+        totalMatched: results.length,
+        totalRetried: results.filter(result => result.success).length,
+        results
+      });
+
+    } catch (error) {
+      console.error('Error retrying dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry dead letters',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteDeadLetter(req, res) {
+    try {
+      const { jobId } = req.params;
+      const entry = await deadLetterStore.get(jobId);
+
+      if (!entry || !apiKeyAuth.canAccessIdentifier(req.tenant, entry.data.identifier)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead letter not found'
+        });
+      }
+
+      await deadLetterStore.remove(jobId);
+
+      res.json({
+        success: true,
+        message: 'Dead letter removed'
+      });
+
+    } catch (error) {
+      console.error('Error deleting dead letter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete dead letter',
+        details: error.message
+      });
+    }
+  }
+
+  async purgeDeadLetters(req, res) {
+    try {
+      const before = req.query.before ? Date.parse(req.query.before) : null;
+
+      if (Number.isNaN(before)) {
+        return res.status(400).json({
+          success: false,
+          error: 'before must be an ISO 8601 timestamp'
+        });
+      }
+
+      const purged = await deadLetterStore.purge(this.resolveDeadLetterTenant(req), {
+        reason: req.query.reason || null,
+        before
+      });
+
+      res.json({
+        success: true,
+        purged
+      });
+
+    } catch (error) {
+      console.error('Error purging dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to purge dead letters',
+        details: error.message
+      });
+    }
+  }
+
+  async analyzeMessage(req, res) {
+    try {
+      const { message } = req.body;
+
+      if (typeof message !== 'string' || message.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required field: message'
+        });
+      }
+
+      const analysis = smsSegmenter.analyze(message.trim());
+
+      res.json({
+        success: true,
+        ...analysis,
+        maxSegments: smsSegmenter.maxSegments,
+        withinLimit: analysis.segments <= smsSegmenter.maxSegments
+      });
+
+    } catch (error) {
+      console.error('Error analyzing message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to analyze message',
+        details: error.message
+      });
+    }
+  }
+
+  async getSMSStatus(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      if (!jobId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Job ID is required'
+        });
+      }
+
+      // Delivery status outlives the BullMQ job, which is removed after completion
+      const [jobStatus, delivery] = await Promise.all([
+        queueProcessor.getJobStatus(jobId),
+        deliveryTracker.getStatus(jobId)
+      ]);
+
+      const owner = jobStatus?.data.identifier ?? delivery?.identifier;
+      if ((!jobStatus && !delivery) || !apiKeyAuth.canAccessIdentifier(req.tenant, owner)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        job: jobStatus,
+        delivery
+      });
+
+    } catch (error) {
+      console.error('Error getting SMS status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get SMS status',
+        details: error.message
+      });
+    }
+  }
+
+  async receiveDeliveryReport(req, res) {
+    try {
+      const provider = smsService.getProvider(req.params.provider);
+
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown provider: ${req.params.provider}`
+        });
+      }
+
+      let report;
+      try {
+        report = provider.parseDeliveryReport(req.body);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid delivery report',
+          details: parseError.message
+        });
+      }
+
+      const record = await deliveryTracker.applyDeliveryReport(report);
+
+      // Acknowledge unknown messages so the provider does not keep redelivering
+      if (!record) {
+        console.warn(`Delivery report for unknown message ${report.messageId} from ${provider.name}`);
+        return res.json({
+          success: true,
+          matched: false
+        });
+      }
+
+      webhookDispatcher.dispatch('sms.delivery_report', {
+        jobId: record.jobId,
+        identifier: record.identifier,
+        callbackUrl: record.callbackUrl
+      }, {
+        to: record.to,
+        messageId: record.messageId,
+        provider: record.provider,
+        state: record.state,
+        providerStatus: record.providerStatus,
+        failureReason: record.failureReason
+      });
+
+      res.json({
+        success: true,
+        matched: true,
+        jobId: record.jobId,
+        state: record.state
+      });
+
+    } catch (error) {
+      console.error('Error processing delivery report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process delivery report',
+        details: error.message
+      });
+    }
+  }
+
+  async getWebhookDeliveries(req, res) {
+    try {
+      const { jobId } = req.params;
+      const delivery = await deliveryTracker.getStatus(jobId);
+
+      if (!delivery || !apiKeyAuth.canAccessIdentifier(req.tenant, delivery.identifier)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const deliveries = await webhookDispatcher.getDeliveriesForJob(jobId);
+
+      res.json({
+        success: true,
+        jobId,
+        deliveries
+      });
+
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get webhook deliveries',
+        details: error.message
+      });
+    }
+  }
+
+  async receiveInboundMessage(req, res) {
+    try {
+      const provider = smsService.getProvider(req.params.provider);
+
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown provider: ${req.params.provider}`
+        });
+      }
+
+      let inbound;
+      try {
+        inbound = provider.parseInboundMessage(req.body);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid inbound message',
+          details: parseError.message
+        });
+      }
+
+      // Provider formats vary, so store the sender in E.164 when it parses
+      try {
+        inbound.from = phoneNumbers.normalize(inbound.from, undefined, { allowFixedLine: true }).e164;
+      } catch (normalizeError) {
+        console.warn(`Could not normalize inbound sender ${inbound.from}: ${normalizeError.message}`);
+      }
+
+      const entry = await conversationStore.recordInbound(inbound, provider.name);
+      const { keyword, optedOut, replyJobId, replyError } = await keywordRules.handleInbound(entry);
+
+      res.json({
+        success: true,
+        messageId: entry.id,
+        inReplyTo: entry.inReplyTo,
+        keyword,
+        optedOut,
+        replyJobId,
+        replyError
+      });
+
+    } catch (error) {
+      console.error('Error processing inbound message:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process inbound message',
+        details: error.message
+      });
+    }
+  }
+
+  async getQueueStats(req, res) {
+    try {
+      const stats = await queueProcessor.getQueueStats();
+      const metrics = await queueProcessor.getJobMetrics(10);
+
+      res.json({
+        success: true,
+        stats,
+        recentMetrics: metrics
+      });
+
+    } catch (error) {
+      console.error('Error getting queue stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get queue stats',
+        details: error.message
+      });
+    }
+  }
+
+  async getDeliveryLogs(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const { tenantId, status, campaignId, provider, since, until, cursor } = req.query;
+      const recipient = req.query.to
+        ? phoneNumbers.normalize(req.query.to, req.query.defaultCountry, { allowFixedLine: true })
+        : null;
+
+      const { entries, nextCursor } = await smsService.getDeliveryLogs({
+        to: recipient?.e164,
+        tenantId,
+        status,
+        campaignId,
+        provider,
+        since,
+        until
+      }, { limit, cursor });
+
+      res.json({
+        success: true,
+        logs: entries,
+        pagination: {
+          limit,
+          cursor: cursor || null,
+          nextCursor
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting delivery logs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get delivery logs',
+        details: error.message
+      });
+    }
+  }
+
+  async getDailyStats(req, res) {
+    try {
+      const date = req.query.date || new Date().toISOString().split('T')[0];
+      const stats = await smsService.getDailyStats(date);
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      console.error('Error getting daily stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get daily stats',
+        details: error.message
+      });
+    }
+  }
+
+  // Tenants see their own stats; admins see every tenant unless they pass tenantId
+  async getStats(req, res) {
+    try {
+      const { from, to, granularity, groupBy } = req.query;
+      const tenantId = req.tenant?.scopes.includes('admin') && !req.query.tenantId ? null : this.resolveTenantId(req);
+
+      const stats = await analytics.getStats({
+        from,
+        to,
+        granularity: granularity || 'day',
+        groupBy: groupBy || 'none',
+        tenantId
+      });
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get stats',
+        details: error.message
+      });
+    }
+  }
+
+  async getSpend(req, res) {
+    try {
+      const tenantId = this.resolveTenantId(req);
+      const { budget } = await tenantSettings.get(tenantId);
+      const report = await spendTracker.getReport(tenantId, budget, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.json({
+        success: true,
+        ...report
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting spend:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get spend',
+        details: error.message
+      });
+    }
+  }
+
+  async getRateLimitStatus(req, res) {
+    try {
+      const { identifier } = req.params;
+
+      if (!identifier) {
+        return res.status(400).json({
+          success: false,
+          error: 'Identifier is required'
+        });
+      }
+
+      // Passing a recipient also reports the recipient and country rules
+      const recipient = req.query.to ? phoneNumbers.normalize(req.query.to) : null;
+      const status = await smsService.getRateLimitStatus(this.resolveIdentifier(req, identifier), {
+        tenantId: this.resolveTenantId(req),
+        to: recipient?.e164 || null,
+        country: recipient?.country || null
+      });
+
+      res.json({
+        success: true,
+        identifier,
+        rateLimit: status
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting rate limit status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get rate limit status',
+        details: error.message
+      });
+    }
+  }
+
+  async resetRateLimit(req, res) {
+    try {
+      const { identifier } = req.params;
+
+      if (!identifier) {
+        return res.status(400).json({
+          success: false,
+          error: 'Identifier is required'
+        });
+      }
+
+      const success = await smsService.resetRateLimit(identifier);
+
+      if (success) {
+        res.json({
+          success: true,
+          message: `Rate limit reset for identifier: ${identifier}`
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to reset rate limit'
+        });
+      }
+
+    } catch (error) {
+      console.error('Error resetting rate limit:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset rate limit',
+        details: error.message
+      });
+    }
+  }
+
+  async listRateLimitPolicies(req, res) {
+    try {
+      const policies = await rateLimitPolicies.listPolicies();
+
+      res.json({
+        success: true,
+        policies,
+        scopes: RATE_LIMIT_SCOPES
+      });
+
+    } catch (error) {
+      console.error('Error listing rate limit policies:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list rate limit policies',
+        details: error.message
+      });
+    }
+  }
+
+  async setRateLimitPolicy(req, res) {
+    try {
+      const { scope, target, algorithm, limit, windowMs, blockDurationMs } = req.body;
+      const policy = await rateLimitPolicies.setPolicy(req.params.policyId, {
+        scope,
+        target,
+        algorithm,
+        limit,
+        windowMs,
+        blockDurationMs
+      });
+
+      res.json({
+        success: true,
+        policy
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error setting rate limit policy:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set rate limit policy',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteRateLimitPolicy(req, res) {
+    try {
+      const removed = await rateLimitPolicies.deletePolicy(req.params.policyId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rate limit policy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Rate limit policy ${req.params.policyId} deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting rate limit policy:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete rate limit policy',
+        details: error.message
+      });
+    }
+  }
+
+  // Admins see every sender; tenants see the ones approved for them
+  async listSenderIds(req, res) {
+    try {
+      const isAdmin = req.tenant?.scopes.includes('admin');
+      const country = req.query.country ? req.query.country.toUpperCase() : null;
+      const senders = isAdmin && !country
+        ? await senderIds.listSenderIds()
+        : await senderIds.listApproved(req.tenant?.id || null, country);
+
+      res.json({
+        success: true,
+        senderIds: senders,
+        types: SENDER_ID_TYPES
+      });
+
+    } catch (error) {
+      console.error('Error listing sender IDs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list sender IDs',
+        details: error.message
+      });
+    }
+  }
+
+  async setSenderId(req, res) {
+    try {
+      const { type, tenants, countries, isDefault } = req.body;
+      const sender = await senderIds.setSenderId(req.params.senderId, {
+        type,
+        tenants,
+        countries,
+        isDefault
+      });
+
+      res.json({
+        success: true,
+        senderId: sender
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Error setting sender ID:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set sender ID',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteSenderId(req, res) {
+    try {
+      const removed = await senderIds.deleteSenderId(req.params.senderId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sender ID not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Sender ID ${req.params.senderId} deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting sender ID:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete sender ID',
+        details: error.message
+      });
+    }
+  }
+
+  async createWebhookSubscription(req, res) {
+    try {
+      const { identifier, url, events } = req.body;
+
+      if (!identifier || !url) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: identifier, url'
+        });
+      }
+
+      if (!this.isValidCallbackUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: 'url must be an http or https URL on a public host'
+        });
+      }
+
+      if (events && (!Array.isArray(events) || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+        return res.status(400).json({
+          success: false,
+          error: `events must be an array of: ${WEBHOOK_EVENTS.join(', ')}`
+        });
+      }
+
+      const subscription = await webhookDispatcher.createSubscription(this.resolveIdentifier(req, identifier), {
+        url,
+        events,
+        tenantId: req.tenant?.id || null
+      });
+
+      // The signing secret is only returned once, at creation
+      res.status(201).json({
+        success: true,
+        subscription
+      });
+
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook subscription',
+        details: error.message
+      });
+    }
+  }
+
+  async listWebhookSubscriptions(req, res) {
+    try {
+      const { identifier } = req.params;
+      const subscriptions = await webhookDispatcher.listSubscriptions(this.resolveIdentifier(req, identifier));
+
+      res.json({
+        success: true,
+        identifier,
+        subscriptions
+      });
+
+    } catch (error) {
+      console.error('Error listing webhook subscriptions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook subscriptions',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteWebhookSubscription(req, res) {
+    try {
+      const { identifier, subscriptionId } = req.params;
+      const removed = await webhookDispatcher.deleteSubscription(this.resolveIdentifier(req, identifier), subscriptionId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Webhook subscription ${subscriptionId} deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook subscription',
+        details: error.message
+      });
+    }
+  }
+
+  async listConversations(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const tenantId = this.resolveTenantId(req);
+      const threads = await conversationStore.listThreads(tenantId, { limit, offset });
+
+      res.json({
+        success: true,
+        threads,
+        pagination: {
+          limit,
+          offset
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list conversations',
+        details: error.message
+      });
+    }
+  }
+
+  async getConversation(req, res) {
+    try {
+      const { e164 } = phoneNumbers.normalize(req.params.number, req.query.defaultCountry, { allowFixedLine: true });
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const isAdmin = req.tenant?.scopes.includes('admin');
+
+      const messages = await conversationStore.getThread(e164, {
+        tenantId: isAdmin ? null : req.tenant?.id,
+        limit
+      });
+
+      res.json({
+        success: true,
+        number: e164,
+        messages
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error getting conversation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get conversation',
+        details: error.message
+      });
+    }
+  }
+
+  async listKeywordRules(req, res) {
+    try {
+      const rules = await keywordRules.listRules(req.tenant?.id);
+
+      res.json({
+        success: true,
+        rules
+      });
+
+    } catch (error) {
+      console.error('Error listing keyword rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list keyword rules',
+        details: error.message
+      });
+    }
+  }
+
+  async setKeywordRule(req, res) {
+    try {
+      const rule = await keywordRules.setRule(req.tenant?.id, req.params.keyword, { reply: req.body.reply });
+
+      res.json({
+        success: true,
+        rule
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error setting keyword rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to set keyword rule',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteKeywordRule(req, res) {
+    try {
+      const removed = await keywordRules.deleteRule(req.tenant?.id, req.params.keyword);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Keyword rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Keyword rule ${req.params.keyword.toUpperCase()} deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting keyword rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete keyword rule',
+        details: error.message
+      });
+    }
+  }
+
+  // Admins can look at another tenant's data with ?tenantId=
+  resolveTenantId(req) {
+    if (req.tenant?.scopes.includes('admin') && req.query.tenantId) {
+      return req.query.tenantId;
+    }
+
+    return req.tenant?.id || null;
+  }
+
+  async listSuppressions(req, res) {
+    try {
+      const scope = this.resolveSuppressionScope(req);
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const result = await suppressionList.list(scope, { cursor: req.query.cursor || '0', limit });
+
+      res.json({
+        success: true,
+        scope,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Error listing suppressions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list suppressions',
+        details: error.message
+      });
+    }
+  }
+
+  async addSuppression(req, res) {
+    try {
+      const { number, reason, defaultCountry } = req.body;
+
+      if (!number) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required field: number'
+        });
+      }
+
+      const { e164 } = phoneNumbers.normalize(number, defaultCountry, { allowFixedLine: true });
+      const entry = await suppressionList.add(this.resolveSuppressionScope(req), e164, { reason });
+
+      res.status(201).json({
+        success: true,
+        suppression: entry
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error adding suppression:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add suppression',
+        details: error.message
+      });
+    }
+  }
+
+  async importSuppressions(req, res) {
+    try {
+      const { numbers, reason, defaultCountry } = req.body;
+
+      if (!Array.isArray(numbers) || numbers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing or invalid numbers array'
+        });
+      }
+
+      const result = await suppressionList.import(this.resolveSuppressionScope(req), numbers, { reason, defaultCountry });
+
+      res.json({
+        success: true,
+        total: numbers.length,
+        imported: result.imported,
+        rejected: result.rejected
+      });
+
+    } catch (error) {
+      console.error('Error importing suppressions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import suppressions',
+        details: error.message
+      });
+    }
+  }
+
+  async removeSuppression(req, res) {
+    try {
+      const { e164 } = phoneNumbers.normalize(req.params.number, req.query.defaultCountry, { allowFixedLine: true });
+      const removed = await suppressionList.remove(this.resolveSuppressionScope(req), e164);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Number is not suppressed'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Number ${e164} removed from suppression list`
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error removing suppression:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove suppression',
+        details: error.message
+      });
+    }
+  }
+
+  // Tenants manage their own list; admins can target any scope, including global
+  resolveSuppressionScope(req) {
+    if (req.tenant?.scopes.includes('admin') && req.query.scope) {
+      return req.query.scope;
+    }
+
+    return req.tenant?.id || GLOBAL_SCOPE;
+  }
+
+  async createTemplate(req, res) {
+    try {
+      const { templateId, name, body } = req.body;
+      const template = await templateStore.createTemplate(req.tenant?.id, { templateId, name, body });
+
+      res.status(201).json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error creating template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template',
+        details: error.message
+      });
+    }
+  }
+
+  async listTemplates(req, res) {
+    try {
+      const templates = await templateStore.listTemplates(req.tenant?.id);
+
+      res.json({
+        success: true,
+        templates
+      });
+
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list templates',
+        details: error.message
+      });
+    }
+  }
+
+  async getTemplate(req, res) {
+    try {
+      const version = parseInt(req.query.version) || null;
+      const template = await templateStore.getTemplate(req.tenant?.id, req.params.templateId, version);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      console.error('Error getting template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get template',
+        details: error.message
+      });
+    }
+  }
+
+  async listTemplateVersions(req, res) {
+    try {
+      const versions = await templateStore.listVersions(req.tenant?.id, req.params.templateId);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        templateId: req.params.templateId,
+        versions
+      });
+
+    } catch (error) {
+      console.error('Error listing template versions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list template versions',
+        details: error.message
+      });
+    }
+  }
+
+  async updateTemplate(req, res) {
+    try {
+      const { name, body } = req.body;
+      const template = await templateStore.updateTemplate(req.tenant?.id, req.params.templateId, { name, body });
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        template
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error updating template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update template',
+        details: error.message
+      });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      const removed = await templateStore.deleteTemplate(req.tenant?.id, req.params.templateId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Template ${req.params.templateId} deleted`
+      });
+
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete template',
+        details: error.message
+      });
+    }
+  }
+
+  async getTenantSettings(req, res) {
+    try {
+      const settings = await tenantSettings.get(req.params.tenantId);
+
+      res.json({
+        success: true,
+        tenantId: req.params.tenantId,
+        settings
+      });
+
+    } catch (error) {
+      console.error('Error getting tenant settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get tenant settings',
+        details: error.message
+      });
+    }
+  }
+
+  async updateTenantSettings(req, res) {
+    try {
+      const settings = await tenantSettings.update(req.params.tenantId, req.body || {});
+
+      res.json({
+        success: true,
+        tenantId: req.params.tenantId,
+        settings
+      });
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error updating tenant settings:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update tenant settings',
+        details: error.message
+      });
+    }
+  }
+
+  async createApiKey(req, res) {
+    try {
+      const { tenantId, name, scopes } = req.body;
+
+      if (!tenantId || typeof tenantId !== 'string' || tenantId.includes(':')) {
+        return res.status(400).json({
+          success: false,
+          error: 'tenantId is required and cannot contain ":"'
+        });
+      }
+
+      if (scopes && (!Array.isArray(scopes) || scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+        return res.status(400).json({
+          success: false,
+          error: `scopes must be an array of: ${API_KEY_SCOPES.join(', ')}`
+        });
+      }
+
+      const { key, apiKey } = await apiKeyAuth.createKey({ tenantId, name, scopes });
+
+      // The plaintext key is only returned once
+      res.status(201).json({
+        success: true,
+        key,
+        apiKey
+      });
+
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key',
+        details: error.message
+      });
+    }
+  }
+
+  async listApiKeys(req, res) {
+    try {
+      const { tenantId } = req.query;
+
+      if (!tenantId) {
+        return res.status(400).json({
+          success: false,
+          error: 'tenantId query parameter is required'
+        });
+      }
+
+      const apiKeys = await apiKeyAuth.listKeys(tenantId);
+
+      res.json({
+        success: true,
+        tenantId,
+        apiKeys
+      });
+
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list API keys',
+        details: error.message
+      });
+    }
+  }
+
+  async rotateApiKey(req, res) {
+    try {
+      const rotated = await apiKeyAuth.rotateKey(req.params.keyId);
+
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        key: rotated.key,
+        apiKey: rotated.apiKey,
+        rotatedFrom: req.params.keyId
+      });
+
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key',
+        details: error.message
+      });
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await apiKeyAuth.revokeKey(req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        apiKey
+      });
+
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key',
+        details: error.message
+      });
+    }
+  }
+
+  bulkTemplateFields(msg, templateId, templateVersion) {
+    if (msg.message) {
+      return {};
+    }
+
+    if (msg.templateId) {
+      return { templateId: msg.templateId, templateVersion: msg.templateVersion, variables: msg.variables };
+    }
+
+    return { templateId, templateVersion, variables: msg.variables };
+  }
+
+  // Admins address identifiers as stored; tenants only reach their own
+  resolveIdentifier(req, identifier) {
+    if (req.tenant?.scopes.includes('admin')) {
+      return identifier;
+    }
+
+    return apiKeyAuth.scopeIdentifier(req.tenant, identifier);
+  }
+
+  // A spent budget is not a bad request: the same send succeeds once the
+  // period resets or the budget is raised
+  budgetExceeded(res, error) {
+    const retryAfter = Math.max(0, Math.ceil((Date.parse(error.resetsAt) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(402).json({
+      success: false,
+      error: error.message,
+      errorType: error.type,
+      resetsAt: error.resetsAt,
+      details: error.details
+    });
+  }
+
+  isValidCallbackUrl(url) {
+    return webhookDispatcher.isAllowedUrl(url);
+  }
+
   async healthCheck(req, res) {
     try {
       const redis = redisClient.getClient();
@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+
+export const API_KEY_SCOPES = ['sms', 'admin'];
+
+// Routes that cannot carry one of our API keys. Provider callbacks among
+// them are checked with requireCallbackSecret() instead.
+const PUBLIC_PATHS = [
+  /^\/health$/,
+  /^\/sms\/delivery-reports\/[^/]+$/,
+  /^\/sms\/inbound\/[^/]+$/
+];
+
+// API keys are stored hashed; the plaintext key is only returned when it is
+// created or rotated. Each key belongs to a tenant, and every identifier a
+// tenant sends is prefixed with its tenant ID so tenants cannot collide.
+class ApiKeyAuth {
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  generateKey() {
+    return `sk_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  keyRecordKey(keyId) {
+    return `api_keys:id:${keyId}`;
+  }
+
+  keyHashKey(hash) {
+    return `api_keys:hash:${hash}`;
+  }
+
+  tenantKeysKey(tenantId) {
+    return `api_keys:tenant:${tenantId}`;
+  }
+
+  async createKey({ tenantId, name = null, scopes = ['sms'] }) {
+    const redis = redisClient.getClient();
+    const key = this.generateKey();
+    const hash = this.hashKey(key);
+    const record = {
+      id: crypto.randomUUID(),
+      tenantId,
+      name,
+      scopes,
+      hash,
+      prefix: key.substring(0, 10),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    await redis.multi()
+      .set(this.keyRecordKey(record.id), JSON.stringify(record))
+      .set(this.keyHashKey(hash), record.id)
+      .sadd(this.tenantKeysKey(tenantId), record.id)
+      .exec();
+
+    return { key, apiKey: this.toPublic(record) };
+  }
+
+  async getKey(keyId) {
+    const redis = redisClient.getClient();
+    const record = await redis.get(this.keyRecordKey(keyId));
+    return record ? JSON.parse(record) : null;
+  }
+
+  async listKeys(tenantId) {
+    const redis = redisClient.getClient();
+    const keyIds = await redis.smembers(this.tenantKeysKey(tenantId));
+    const records = await Promise.all(keyIds.map(keyId => this.getKey(keyId)));
+    return records.filter(Boolean).map(record => this.toPublic(record));
+  }
+
+  async revokeKey(keyId) {
+    const redis = redisClient.getClient();
+    const record = await this.getKey(keyId);
+
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await redis.multi()
+        .set(this.keyRecordKey(keyId), JSON.stringify(record))
+        .del(this.keyHashKey(record.hash))
+        .exec();
+    }
+
+    return this.toPublic(record);
+  }
+
+  // Issue a replacement key with the same tenant and scopes, then revoke the old one
+  async rotateKey(keyId) {
+    const record = await this.getKey(keyId);
+
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const rotated = await this.createKey({
+      tenantId: record.tenantId,
+      name: record.name,
+      scopes: record.scopes
+    });
+    await this.revokeKey(keyId);
+
+    return rotated;
+  }
+
+  async resolve(key) {
+    if (config.auth.adminApiKey && this.safeEqual(key, config.auth.adminApiKey)) {
+      return { id: config.auth.adminTenantId, keyId: 'bootstrap-admin', scopes: API_KEY_SCOPES };
+    }
+
+    const redis = redisClient.getClient();
+    const keyId = await redis.get(this.keyHashKey(this.hashKey(key)));
+    if (!keyId) {
+      return null;
+    }
+
+    const record = await this.getKey(keyId);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    return { id: record.tenantId, keyId: record.id, scopes: record.scopes };
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(this.hashKey(a));
+    const right = Buffer.from(this.hashKey(b));
+    return crypto.timingSafeEqual(left, right);
+  }
+
+  extractKey(req) {
+    const header = req.headers['authorization'];
+    if (header && header.startsWith('Bearer ')) {
+      return header.substring(7).trim();
+    }
+
+    return req.headers['x-api-key'] || null;
+  }
+
+  toPublic(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  // Resolves the API key on every request and attaches req.tenant
+  authenticate() {
+    return async (req, res, next) => {
+      if (!config.auth.enabled) {
+        req.tenant = { id: null, keyId: null, scopes: API_KEY_SCOPES };
+        return next();
+      }
+
+      if (PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+      }
+
+      try {
+        const key = this.extractKey(req);
+
+        if (!key) {
+          return res.status(401).json({
+            success: false,
+            error: 'Missing API key'
+          });
+        }
+
+        const tenant = await this.resolve(key);
+
+        if (!tenant) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid API key'
+          });
+        }
+
+        req.tenant = tenant;
+        next();
+
+      } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to authenticate request',
+          details: error.message
+        });
+      }
+    };
+  }
+
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.tenant?.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key requires the ${scope} scope`
+        });
+      }
+
+      next();
+    };
+  }
+
+  extractCallbackToken(req) {
+    return req.headers['x-callback-token'] || req.query.token || null;
+  }
+
+  // Provider callbacks carry the provider's shared secret, set in
+  // PROVIDER_CALLBACK_SECRETS, as an X-Callback-Token header or a ?token=
+  // query parameter on the callback URL. This is separate from API-key
+  // auth: a configured secret is always enforced, and only a deployment
+  // with AUTH_ENABLED=false accepts callbacks from a provider without one.
+  requireCallbackSecret() {
+    return (req, res, next) => {
+      const secret = config.auth.callbackSecrets[req.params.provider];
+      if (!secret && !config.auth.enabled) {
+        return next();
+      }
+
+      if (!secret) {
+        return res.status(401).json({
+          success: false,
+          error: `No callback secret is configured for provider ${req.params.provider}`
+        });
+      }
+
+      const token = this.extractCallbackToken(req);
+      if (typeof token !== 'string' || !this.safeEqual(token, secret)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid callback token'
+        });
+      }
+
+      next();
+    };
+  }
+
+  // Prefix a caller-supplied identifier with the caller's tenant
+  scopeIdentifier(tenant, identifier) {
+    if (!tenant?.id) {
+      return identifier;
+    }
+
+    return `${tenant.id}:${identifier}`;
+  }
+
+  canAccessIdentifier(tenant, identifier) {
+    if (!tenant || tenant.scopes.includes('admin')) {
+      return true;
+    }
+
+    return typeof identifier === 'string' && identifier.startsWith(`${tenant.id}:`);
+  }
+}
+
+export const apiKeyAuth = new ApiKeyAuth();
@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { queueProcessor } from './queueProcessor.js';
+import { csvParser } from './csvParser.js';
+
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Columns with a meaning of their own; every other CSV column is a template variable
+const RESERVED_COLUMNS = ['to', 'message', 'from', 'defaultCountry', 'sendAt'];
+
+// Streams a CSV or NDJSON upload, validating and enqueuing it in batches so
+// a file never has to fit in memory. Progress and row-level errors are kept
+// under an import ID.
+class BulkImporter {
+  constructor() {
+    this.batchSize = config.imports.batchSize;
+    this.ttlSeconds = config.imports.ttlSeconds;
+    this.maxStoredErrors = config.imports.maxStoredErrors;
+    this.spoolDir = config.imports.spoolDir;
+    this.maxRecordLength = config.imports.maxRecordLength;
+  }
+
+  importKey(importId) {
+    return `sms_import:${importId}`;
+  }
+
+  errorsKey(importId) {
+    return `sms_import:${importId}:errors`;
+  }
+
+  formatFromContentType(contentType = '') {
+    if (contentType.includes('csv')) {
+      return 'csv';
+    }
+
+    if (contentType.includes('ndjson') || contentType.includes('jsonl')) {
+      return 'ndjson';
+    }
+
+    return null;
+  }
+
+  async createImport(tenantId, { format, campaignId = null }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      tenantId: tenantId || null,
+      format,
+      campaignId,
+      status: 'processing',
+      rows: 0,
+      queued: 0,
+      failed: 0,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    await this.save(record);
+    return record;
+  }
+
+  async getImport(importId) {
+    const redis = redisClient.getClient();
+    const record = await redis.get(this.importKey(importId));
+    return record ? JSON.parse(record) : null;
+  }
+
+  async getErrors(importId, { limit = 100, offset = 0 } = {}) {
+    const redis = redisClient.getClient();
+    const errors = await redis.lrange(this.errorsKey(importId), offset, offset + limit - 1);
+    return errors.map(error => JSON.parse(error));
+  }
+
+  async save(record) {
+    const redis = redisClient.getClient();
+    record.updatedAt = new Date().toISOString();
+    await redis.setex(this.importKey(record.id), this.ttlSeconds, JSON.stringify(record));
+  }
+
+  // Mark an import failed, keeping the counts gathered so far
+  async fail(record, error) {
+    record.status = 'failed';
+    record.error = error.message;
+    record.completedAt = record.completedAt || new Date().toISOString();
+
+    try {
+      await this.save(record);
+    } catch (saveError) {
+      console.error(`Failed to save bulk import ${record.id}:`, saveError);
+    }
+  }
+
+  async recordErrors(record, errors) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    record.failed += errors.length;
+
+    // Only the first errors are kept; the count stays exact
+    const room = this.maxStoredErrors - (record.failed - errors.length);
+    if (room > 0) {
+      const redis = redisClient.getClient();
+      await redis.multi()
+        .rpush(this.errorsKey(record.id), ...errors.slice(0, room).map(error => JSON.stringify(error)))
+        .expire(this.errorsKey(record.id), this.ttlSeconds)
+        .exec();
+    }
+  }
+
+  // Write an upload to disk so the request can be answered before any row
+  // is validated or enqueued
+  async spool(stream) {
+    await fs.promises.mkdir(this.spoolDir, { recursive: true });
+    const file = path.join(this.spoolDir, `${crypto.randomUUID()}.upload`);
+
+    try {
+      await pipeline(stream, fs.createWriteStream(file));
+    } catch (error) {
+      await this.discard(file);
+      throw error;
+    }
+
+    return file;
+  }
+
+  async discard(file) {
+    await fs.promises.rm(file, { force: true });
+  }
+
+  // Import a spooled upload, removing the file once it has been read
+  async runSpooled(record, file, defaults) {
+    try {
+      return await this.run(record, fs.createReadStream(file), defaults);
+    } finally {
+      await this.discard(file);
+    }
+  }
+
+  // Parse, validate and enqueue every row of the stream. `defaults` holds the
+  // batch-level fields (tenantId, identifier, templateId, trafficClass, ...)
+  // shared by every row.
+  async run(record, stream, defaults) {
+    const rows = record.format === 'csv' ? this.parseCsv(stream) : this.parseNdjson(stream);
+    let batch = [];
+
+    try {
+      for await (const row of rows) {
+        record.rows++;
+
+        if (!row.error && !row.fields.message && !defaults.message && !defaults.templateId) {
+          row.error = 'Each row needs a message unless the upload sets message or templateId';
+        }
+
+        if (row.error) {
+          await this.recordErrors(record, [{ row: row.row, error: row.error }]);
+          continue;
+        }
+
+        batch.push(row);
+        if (batch.length >= this.batchSize) {
+          await this.flush(record, batch, defaults);
+          batch = [];
+        }
+      }
+
+      await this.flush(record, batch, defaults);
+      record.status = 'completed';
+    } catch (error) {
+      console.error(`Bulk import ${record.id} failed:`, error);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.completedAt = new Date().toISOString();
+    await this.save(record);
+    return record;
+  }
+
+  async flush(record, batch, defaults) {
+    if (batch.length === 0) {
+      return;
+    }
+
+    const results = await queueProcessor.addSMSJobsInBulk(batch.map(({ fields }) => this.toSmsData(fields, defaults)));
+    const errors = [];
+
+    results.forEach((result, index) => {
+      if (result.success) {
+        record.queued++;
+      } else {
+        errors.push({ row: batch[index].row, to: batch[index].fields.to || null, error: result.error });
+      }
+    });
+
+    await this.recordErrors(record, errors);
+    await this.save(record);
+  }
+
+  toSmsData(fields, defaults) {
+    const { to, message, from, defaultCountry, sendAt, variables, metadata } = fields;
+    const columnVariables = Object.fromEntries(
+      Object.entries(fields).filter(([name]) => !RESERVED_COLUMNS.includes(name) && name !== 'variables' && name !== 'metadata')
+    );
+
+    return {
+      ...defaults,
+      to,
+      message: message || (defaults.templateId ? undefined : defaults.message),
+      templateId: message ? undefined : defaults.templateId,
+      variables: { ...columnVariables, ...(typeof variables === 'object' ? variables : {}) },
+      from: from || defaults.from,
+      defaultCountry: defaultCountry || defaults.defaultCountry,
+      sendAt: sendAt || defaults.sendAt,
+      metadata: { ...(defaults.metadata || {}), ...(typeof metadata === 'object' ? metadata : {}) }
+    };
+  }
+
+  async *parseNdjson(stream) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') {
+        continue;
+      }
+
+      try {
+        const fields = JSON.parse(line);
+        yield this.checkRow(lineNumber, fields);
+      } catch (error) {
+        yield { row: lineNumber, error: 'Invalid JSON' };
+      }
+    }
+  }
+
+  async *parseCsv(stream) {
+    for await (const row of csvParser.parse(stream, { maxRecordLength: this.maxRecordLength })) {
+      yield row.error ? row : this.checkRow(row.row, row.fields);
+    }
+  }
+
+  checkRow(row, fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return { row, error: 'Row must be an object' };
+    }
+
+    if (!fields.to) {
+      return { row, error: 'Missing required field: to' };
+    }
+
+    return { row, fields };
+  }
+}
+
+export const bulkImporter = new BulkImporter();
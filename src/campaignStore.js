@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import { redisClient } from './redis.js';
+import { spendTracker } from './spendTracker.js';
+
+export const CAMPAIGN_STATUSES = ['active', 'paused', 'cancelled', 'completed'];
+
+// Delivery states counted per campaign. Each job is counted in exactly one
+// of them, moving as the delivery tracker records transitions.
+const COUNTED_STATES = ['queued', 'sent', 'delivered', 'failed', 'rejected', 'cancelled'];
+
+// A bulk send tracked as one batch: its jobs, live progress and, once no
+// job is left queued, a summary report
+class CampaignStore {
+  campaignKey(campaignId) {
+    return `sms_campaign:${campaignId}`;
+  }
+
+  countsKey(campaignId) {
+    return `sms_campaign:${campaignId}:counts`;
+  }
+
+  failuresKey(campaignId) {
+    return `sms_campaign:${campaignId}:failures`;
+  }
+
+  jobsKey(campaignId) {
+    return `sms_campaign:${campaignId}:jobs`;
+  }
+
+  indexKey(tenantId) {
+    return `sms_campaigns:${tenantId || 'global'}`;
+  }
+
+  async createCampaign(tenantId, { name = null, createdBy = null, trafficClass = null, total }) {
+    const redis = redisClient.getClient();
+    const now = new Date();
+    const campaign = {
+      id: crypto.randomUUID(),
+      name: name || `Bulk send ${now.toISOString()}`,
+      tenantId: tenantId || null,
+      createdBy,
+      trafficClass,
+      status: 'active',
+      total,
+      accepted: null,
+      rejected: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      completedAt: null
+    };
+
+    await redis.multi()
+      .set(this.campaignKey(campaign.id), JSON.stringify(campaign))
+      .zadd(this.indexKey(tenantId), now.getTime(), campaign.id)
+      .exec();
+
+    return campaign;
+  }
+
+  async getCampaign(campaignId) {
+    const redis = redisClient.getClient();
+    const campaign = await redis.get(this.campaignKey(campaignId));
+    return campaign ? JSON.parse(campaign) : null;
+  }
+
+  async saveCampaign(campaign) {
+    const redis = redisClient.getClient();
+    campaign.updatedAt = new Date().toISOString();
+    await redis.set(this.campaignKey(campaign.id), JSON.stringify(campaign));
+    return campaign;
+  }
+
+  async listCampaigns(tenantId, { limit = 50, offset = 0 } = {}) {
+    const redis = redisClient.getClient();
+    const campaignIds = await redis.zrevrange(this.indexKey(tenantId), offset, offset + limit - 1);
+    const campaigns = await Promise.all(campaignIds.map(campaignId => this.getWithProgress(campaignId)));
+    return campaigns.filter(Boolean);
+  }
+
+  async addJob(campaignId, jobId) {
+    const redis = redisClient.getClient();
+
+    await redis.multi()
+      .rpush(this.jobsKey(campaignId), String(jobId))
+      .hincrby(this.countsKey(campaignId), 'queued', 1)
+      .exec();
+  }
+
+  async listJobIds(campaignId, start = 0, stop = -1) {
+    const redis = redisClient.getClient();
+    return await redis.lrange(this.jobsKey(campaignId), start, stop);
+  }
+
+  // Record how many messages were queued once the bulk request finishes
+  async setAccepted(campaignId, accepted, rejected) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    Object.assign(campaign, { accepted, rejected });
+    await this.saveCampaign(campaign);
+    return await this.checkCompletion(campaignId);
+  }
+
+  // Move one job's count between delivery states. `to` is null when a job
+  // leaves the campaign, e.g. a dead letter re-enqueued as a new job.
+  async recordTransition(campaignId, from, to, { errorType = null } = {}) {
+    const redis = redisClient.getClient();
+
+    try {
+      const transaction = redis.multi();
+      if (COUNTED_STATES.includes(from)) {
+        transaction.hincrby(this.countsKey(campaignId), from, -1);
+      }
+      if (COUNTED_STATES.includes(to)) {
+        transaction.hincrby(this.countsKey(campaignId), to, 1);
+      }
+      if (to === 'failed') {
+        transaction.hincrby(this.failuresKey(campaignId), errorType || 'unknown', 1);
+      }
+      await transaction.exec();
+
+      if (from === 'queued') {
+        await this.checkCompletion(campaignId);
+      }
+    } catch (error) {
+      console.error('Failed to update campaign counts:', error);
+    }
+  }
+
+  async getCounts(campaignId) {
+    const redis = redisClient.getClient();
+    const counts = await redis.hgetall(this.countsKey(campaignId));
+    return Object.fromEntries(COUNTED_STATES.map(state => [state, parseInt(counts[state]) || 0]));
+  }
+
+  // A campaign is finished once every accepted job has left "queued"
+  async checkCompletion(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign || campaign.accepted === null || campaign.completedAt) {
+      return campaign;
+    }
+
+    const counts = await this.getCounts(campaignId);
+    if (counts.queued > 0) {
+      return campaign;
+    }
+
+    campaign.completedAt = new Date().toISOString();
+    if (campaign.status === 'active') {
+      campaign.status = 'completed';
+    }
+
+    console.log(`Campaign ${campaignId} finished`);
+    return await this.saveCampaign(campaign);
+  }
+
+  async setStatus(campaignId, status) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    campaign.status = status;
+    return await this.saveCampaign(campaign);
+  }
+
+  async getWithProgress(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    return {
+      ...campaign,
+      progress: await this.getCounts(campaignId)
+    };
+  }
+
+  async getReport(campaignId) {
+    const redis = redisClient.getClient();
+    const campaign = await this.getWithProgress(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const failures = await redis.hgetall(this.failuresKey(campaignId));
+    const { progress } = campaign;
+    const accepted = campaign.accepted || 0;
+    const rate = count => (accepted > 0 ? Math.round((count / accepted) * 10000) / 100 : 0);
+
+    return {
+      campaignId,
+      name: campaign.name,
+      status: campaign.status,
+      finished: Boolean(campaign.completedAt),
+      total: campaign.total,
+      accepted,
+      rejected: campaign.rejected || 0,
+      progress,
+      failuresByType: Object.fromEntries(Object.entries(failures).map(([type, count]) => [type, parseInt(count)])),
+      deliveryRate: rate(progress.delivered),
+      failureRate: rate(progress.failed + progress.rejected),
+      spend: await spendTracker.getCampaignSpend(campaignId),
+      createdAt: campaign.createdAt,
+      completedAt: campaign.completedAt,
+      durationMs: campaign.completedAt ? Date.parse(campaign.completedAt) - Date.parse(campaign.createdAt) : null
+    };
+  }
+}
+
+export const campaignStore = new CampaignStore();
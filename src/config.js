@@ -2,6 +2,56 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Parses "africastalking:3,mock:1" into [{ name, weight }]
+function parseProviderList(value, fallback) {
+  if (!value) {
+    return [{ name: fallback, weight: 1 }];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, weight] = entry.split(':');
+    return { name: name.trim(), weight: parseInt(weight) || 1 };
+  });
+}
+
+// Parses "+254:africastalking,+1:mock" into { '+254': 'africastalking', '+1': 'mock' }
+function parseCountryRoutes(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).reduce((routes, entry) => {
+    const [prefix, provider] = entry.split(':');
+    routes[prefix.trim()] = provider.trim();
+    return routes;
+  }, {});
+}
+
+// Parses "africastalking:s3cret,mock:other" into { africastalking: 's3cret', mock: 'other' }.
+// Only the first colon separates, so secrets may contain colons.
+function parseCallbackSecrets(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).reduce((secrets, entry) => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      secrets[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return secrets;
+  }, {});
+}
+
+// Parses "0.1,0.5,1" into [0.1, 0.5, 1]
+function parseBuckets(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+
+  return value.split(',').map(bucket => parseFloat(bucket)).filter(bucket => !Number.isNaN(bucket)).sort((a, b) => a - b);
+}
+
 export const config = {
   // Africa's Talking API Configuration
   africasTalking: {
@@ -10,6 +60,19 @@ export const config = {
     from: process.env.SMS_SENDER_NAME || 'SlausCop'
   },
 
+  // SMS Provider Configuration
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'africastalking', // africastalking | mock
+    providers: parseProviderList(process.env.SMS_PROVIDERS, process.env.SMS_PROVIDER || 'africastalking'),
+    routingStrategy: process.env.SMS_ROUTING_STRATEGY || 'ordered', // ordered | weighted
+    countryRoutes: parseCountryRoutes(process.env.SMS_COUNTRY_ROUTES),
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS) || 10, // Reject longer multipart messages
+    mock: {
+      sinkFile: process.env.SMS_MOCK_SINK_FILE || null, // Append sent messages as NDJSON
+      maxRecorded: parseInt(process.env.SMS_MOCK_MAX_RECORDED) || 1000
+    }
+  },
+
   // Redis Configuration
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -23,6 +86,14 @@ export const config = {
   // BullMQ Configuration
   queue: {
     name: process.env.SMS_QUEUE_NAME || 'sms-queue',
+    // Reserved worker concurrency per traffic class
+    lanes: {
+      transactional: { concurrency: parseInt(process.env.LANE_TRANSACTIONAL_CONCURRENCY) || 3 },
+      notification: { concurrency: parseInt(process.env.LANE_NOTIFICATION_CONCURRENCY) || 2 },
+      marketing: { concurrency: parseInt(process.env.LANE_MARKETING_CONCURRENCY) || 1 }
+    },
+    defaultTrafficClass: process.env.DEFAULT_TRAFFIC_CLASS || 'notification',
+    defaultBulkTrafficClass: process.env.DEFAULT_BULK_TRAFFIC_CLASS || 'marketing',
     connection: {
       host: process.env.REDIS_HOST || 'localhost',
       port: parseInt(process.env.REDIS_PORT) || 6379,
@@ -35,7 +106,109 @@ export const config = {
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30, // 30 SMS per minute
-    blockDurationMs: parseInt(process.env.RATE_LIMIT_BLOCK_DURATION_MS) || 300000 // 5 minutes block
+    blockDurationMs: parseInt(process.env.RATE_LIMIT_BLOCK_DURATION_MS) || 300000, // 5 minutes block
+    algorithm: process.env.RATE_LIMIT_ALGORITHM || 'sliding_log', // sliding_log, sliding_window or token_bucket
+    failMode: process.env.RATE_LIMIT_FAIL_MODE === 'closed' ? 'closed' : 'open' // Behavior when Redis is unavailable
+  },
+
+  // Phone Number Configuration
+  phoneNumbers: {
+    defaultCountry: process.env.DEFAULT_COUNTRY || null, // ISO code used for national-format numbers, e.g. KE
+    rejectFixedLine: process.env.REJECT_FIXED_LINE_NUMBERS !== 'false'
+  },
+
+  // Inbound Message Configuration
+  inbound: {
+    helpReply: process.env.INBOUND_HELP_REPLY || null, // Auto-reply to HELP, disabled when empty
+    stopReply: process.env.INBOUND_STOP_REPLY || null // Opt-out confirmation, disabled when empty
+  },
+
+  // Conversation Thread Configuration
+  conversations: {
+    maxMessagesPerThread: parseInt(process.env.CONVERSATION_MAX_MESSAGES) || 500,
+    ttlSeconds: parseInt(process.env.CONVERSATION_TTL_SECONDS) || 86400 * 30 // Keep for 30 days
+  },
+
+  // Delivery Tracking Configuration
+  deliveryTracking: {
+    ttlSeconds: parseInt(process.env.DELIVERY_TRACKING_TTL_SECONDS) || 86400 * 7 // Keep for 7 days
+  },
+
+  // Outbound Webhook Configuration
+  webhooks: {
+    queueName: process.env.WEBHOOK_QUEUE_NAME || 'sms-webhooks',
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET || null, // Signs callbackUrl deliveries
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true', // Permit localhost and private network URLs
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 5000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 10,
+    historyTtlSeconds: parseInt(process.env.WEBHOOK_HISTORY_TTL_SECONDS) || 86400 * 7 // Keep for 7 days
+  },
+
+  // Idempotency Configuration
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400 // Remember keys for 24 hours
+  },
+
+  // Campaign Configuration
+  campaigns: {
+    pauseRecheckMs: parseInt(process.env.CAMPAIGN_PAUSE_RECHECK_MS) || 60000 // How often a paused campaign's jobs check for resume
+  },
+
+  // Bulk Import Configuration
+  imports: {
+    batchSize: parseInt(process.env.IMPORT_BATCH_SIZE) || 500, // Rows per Queue.addBulk call
+    ttlSeconds: parseInt(process.env.IMPORT_TTL_SECONDS) || 86400 * 7, // Keep import reports for 7 days
+    maxStoredErrors: parseInt(process.env.IMPORT_MAX_STORED_ERRORS) || 10000,
+    maxRecordLength: parseInt(process.env.IMPORT_MAX_RECORD_LENGTH) || 65536, // Characters a quoted CSV field may span before it counts as unterminated
+    spoolDir: process.env.IMPORT_SPOOL_DIR || './data/imports' // Uploads wait here until they have been imported
+  },
+
+  // Dead-Letter Configuration
+  deadLetters: {
+    attemptHistoryTtlSeconds: parseInt(process.env.ATTEMPT_HISTORY_TTL_SECONDS) || 86400 * 7 // Per-attempt errors for live jobs
+  },
+
+  // Message History Configuration
+  history: {
+    store: process.env.HISTORY_STORE || 'redis', // redis | sqlite
+    retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS) || 90,
+    redis: {
+      maxEntries: parseInt(process.env.HISTORY_REDIS_MAX_ENTRIES) || 1000000, // Approximate stream length cap
+      maxScan: parseInt(process.env.HISTORY_REDIS_MAX_SCAN) || 10000 // Entries a filtered query reads before returning a cursor
+    },
+    sqlite: {
+      filename: process.env.HISTORY_SQLITE_FILE || './data/message-history.sqlite'
+    }
+  },
+
+  // Spend and Budget Configuration
+  budgets: {
+    warningThreshold: parseFloat(process.env.BUDGET_WARNING_THRESHOLD) || 0.8, // Default share of a budget that triggers budget.warning
+    recheckMs: parseInt(process.env.BUDGET_RECHECK_MS) || 300000, // How often a job held by a spent budget checks again
+    defaultSegmentCost: parseFloat(process.env.BUDGET_DEFAULT_SEGMENT_COST) || 1, // Estimated cost per segment until a month has spend to average
+    reservationTtlMs: parseInt(process.env.BUDGET_RESERVATION_TTL_MS) || 300000, // How long a send's estimate stays reserved if it is never settled
+    retentionDays: parseInt(process.env.SPEND_RETENTION_DAYS) || 400,
+    maxReportDays: parseInt(process.env.SPEND_MAX_REPORT_DAYS) || 92
+  },
+
+  // Analytics Rollup Configuration
+  analytics: {
+    hourlyRetentionDays: parseInt(process.env.ANALYTICS_HOURLY_RETENTION_DAYS) || 31,
+    dailyRetentionDays: parseInt(process.env.ANALYTICS_DAILY_RETENTION_DAYS) || 400,
+    maxBuckets: parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 744 // Largest range one /sms/stats request may cover
+  },
+
+  // Prometheus Metrics Configuration
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN || null, // Bearer token required to scrape /metrics
+    public: process.env.METRICS_PUBLIC === 'true', // Serve /metrics without a token; labels include tenant IDs
+    prefix: process.env.METRICS_PREFIX || 'sms_',
+    collectDefault: process.env.METRICS_COLLECT_DEFAULT !== 'false', // Node.js process metrics
+    providerLatencyBuckets: parseBuckets(process.env.METRICS_PROVIDER_LATENCY_BUCKETS, [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+    enqueueToSendBuckets: parseBuckets(process.env.METRICS_ENQUEUE_TO_SEND_BUCKETS, [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 3600])
   },
 
   // Retry Configuration
@@ -45,9 +218,18 @@ export const config = {
     delay: parseInt(process.env.RETRY_DELAY_MS) || 2000
   },
 
+  // Authentication Configuration
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    adminApiKey: process.env.ADMIN_API_KEY || null, // Bootstrap key used to create tenant keys
+    adminTenantId: process.env.ADMIN_TENANT_ID || 'admin',
+    callbackSecrets: parseCallbackSecrets(process.env.PROVIDER_CALLBACK_SECRETS) // Token each provider's callbacks must carry
+  },
+
   // Server Configuration
   server: {
     port: parseInt(process.env.PORT) || 3000,
-    host: process.env.HOST || 'localhost'
+    host: process.env.HOST || 'localhost',
+    corsOrigins: (process.env.CORS_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean)
   }
 };
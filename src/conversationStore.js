@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+
+// Two-way message threads keyed by the remote handset number. Inbound
+// replies are attributed to the tenant that last messaged that number.
+class ConversationStore {
+  constructor() {
+    this.maxMessagesPerThread = config.conversations.maxMessagesPerThread;
+    this.ttlSeconds = config.conversations.ttlSeconds;
+  }
+
+  threadKey(number) {
+    return `sms_thread:${number}`;
+  }
+
+  threadIndexKey(tenantId) {
+    return `sms_threads:${tenantId || 'global'}`;
+  }
+
+  lastOutboundKey(number) {
+    return `sms_last_outbound:${number}`;
+  }
+
+  async recordOutbound({ to, message, jobId, messageId, tenantId = null, identifier = null }) {
+    const redis = redisClient.getClient();
+    const entry = {
+      id: messageId || `job-${jobId}`,
+      direction: 'outbound',
+      number: to,
+      text: message,
+      jobId,
+      messageId,
+      tenantId,
+      identifier,
+      at: new Date().toISOString()
+    };
+
+    try {
+      await this.append(redis.multi(), entry)
+        .setex(this.lastOutboundKey(to), this.ttlSeconds, JSON.stringify(entry))
+        .exec();
+    } catch (error) {
+      console.error('Failed to record outbound message:', error);
+    }
+
+    return entry;
+  }
+
+  async recordInbound({ from, to, text, providerMessageId, receivedAt }, provider) {
+    const redis = redisClient.getClient();
+    const lastOutbound = await this.getLastOutbound(from);
+
+    const entry = {
+      id: providerMessageId || `inbound-${crypto.randomUUID()}`,
+      direction: 'inbound',
+      number: from,
+      to,
+      text,
+      provider,
+      tenantId: lastOutbound?.tenantId || null,
+      inReplyTo: lastOutbound ? { jobId: lastOutbound.jobId, messageId: lastOutbound.messageId } : null,
+      at: receivedAt || new Date().toISOString()
+    };
+
+    await this.append(redis.multi(), entry).exec();
+    return entry;
+  }
+
+  // Queue the commands that add an entry to its thread and the tenant's thread index
+  append(multi, entry) {
+    return multi
+      .lpush(this.threadKey(entry.number), JSON.stringify(entry))
+      .ltrim(this.threadKey(entry.number), 0, this.maxMessagesPerThread - 1)
+      .expire(this.threadKey(entry.number), this.ttlSeconds)
+      .zadd(this.threadIndexKey(entry.tenantId), Date.parse(entry.at), entry.number);
+  }
+
+  async getLastOutbound(number) {
+    const redis = redisClient.getClient();
+    const entry = await redis.get(this.lastOutboundKey(number));
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async listThreads(tenantId, { limit = 50, offset = 0 } = {}) {
+    const redis = redisClient.getClient();
+    const results = await redis.zrevrange(this.threadIndexKey(tenantId), offset, offset + limit - 1, 'WITHSCORES');
+
+    const threads = [];
+    for (let i = 0; i < results.length; i += 2) {
+      threads.push({
+        number: results[i],
+        lastActivityAt: new Date(parseInt(results[i + 1])).toISOString()
+      });
+    }
+
+    return threads;
+  }
+
+  // Messages in chronological order; a tenant only sees its own side of the thread
+  async getThread(number, { tenantId = null, limit = 100 } = {}) {
+    const redis = redisClient.getClient();
+    const entries = await redis.lrange(this.threadKey(number), 0, limit - 1);
+
+    return entries
+      .map(entry => JSON.parse(entry))
+      .filter(entry => !tenantId || entry.tenantId === tenantId)
+      .reverse();
+  }
+}
+
+export const conversationStore = new ConversationStore();
@@ -0,0 +1,110 @@
+import readline from 'readline';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+// Streams CSV rows as objects keyed by the header row. Quoted fields may
+// contain commas, escaped quotes ("") and line breaks. A bad row is yielded
+// as { row, error } so the caller can report it and carry on.
+class CsvParser {
+  async *parse(stream, { maxRecordLength = config.imports.maxRecordLength } = {}) {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const state = { header: null, record: null, maxRecordLength };
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      yield* this.readLine(state, lineNumber, line);
+    }
+
+    // A quote still open at the end of the file
+    while (state.record) {
+      yield* this.abandonRecord(state);
+    }
+  }
+
+  // Adds a line to the record being read and yields the row it completes.
+  // Quotes are counted line by line, so a record is only joined once.
+  *readLine(state, lineNumber, line) {
+    if (!state.record) {
+      state.record = { row: lineNumber, lines: [], length: 0, quotes: 0 };
+    }
+
+    const record = state.record;
+    record.lines.push({ lineNumber, line });
+    record.length += line.length + 1;
+    record.quotes += (line.match(/"/g) || []).length;
+
+    if (record.quotes % 2 === 1) {
+      if (record.length > state.maxRecordLength) {
+        yield* this.abandonRecord(state);
+      }
+      return;
+    }
+
+    state.record = null;
+    const text = record.lines.map(({ line }) => line).join('\n');
+    if (text.trim() === '') {
+      return;
+    }
+
+    const values = this.splitLine(text);
+    if (!state.header) {
+      state.header = values.map(value => value.trim());
+      return;
+    }
+
+    const fields = Object.fromEntries(state.header.map((name, index) => [name, (values[index] || '').trim()]));
+    yield { row: record.row, fields };
+  }
+
+  // A stray quote would otherwise swallow the rest of the file: report the
+  // row it opened on and read the lines after it again on their own. The
+  // header cannot be skipped that way, since the next row would take its place.
+  *abandonRecord(state) {
+    const { row, lines } = state.record;
+    state.record = null;
+
+    if (!state.header) {
+      throw new ValidationError(`The CSV header on line ${row} has an unterminated quoted field`);
+    }
+
+    yield { row, error: 'Unterminated quoted field' };
+
+    for (const { lineNumber, line } of lines.slice(1)) {
+      yield* this.readLine(state, lineNumber, line);
+    }
+  }
+
+  splitLine(text) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          value += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(value);
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    values.push(value);
+    return values;
+  }
+}
+
+export const csvParser = new CsvParser();
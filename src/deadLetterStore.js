@@ -0,0 +1,168 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+
+// Durable record of jobs that exhausted their retries (or failed with a
+// non-retryable error). BullMQ only keeps the last few failed jobs, so the
+// job data and the error from every attempt are copied here.
+class DeadLetterStore {
+  constructor() {
+    this.attemptTtlSeconds = config.deadLetters.attemptHistoryTtlSeconds;
+  }
+
+  entriesKey() {
+    return 'sms_dead_letters';
+  }
+
+  indexKey(tenantId) {
+    return tenantId === undefined ? 'sms_dead_letters:index' : `sms_dead_letters:tenant:${tenantId || 'global'}`;
+  }
+
+  attemptsKey(jobId) {
+    return `sms_attempts:${jobId}`;
+  }
+
+  // Called after every failed attempt so the history survives retries
+  async recordAttempt(jobId, attempt) {
+    const redis = redisClient.getClient();
+
+    try {
+      await redis.multi()
+        .rpush(this.attemptsKey(jobId), JSON.stringify(attempt))
+        .expire(this.attemptsKey(jobId), this.attemptTtlSeconds)
+        .exec();
+    } catch (error) {
+      console.error('Failed to record job attempt:', error);
+    }
+  }
+
+  async getAttempts(jobId) {
+    const redis = redisClient.getClient();
+    const attempts = await redis.lrange(this.attemptsKey(jobId), 0, -1);
+    return attempts.map(attempt => JSON.parse(attempt));
+  }
+
+  async add(job, error) {
+    const redis = redisClient.getClient();
+
+    try {
+      const failedAt = Date.now();
+      const entry = {
+        jobId: job.id,
+        name: job.name,
+        data: job.data,
+        opts: {
+          priority: job.opts.priority
+        },
+        tenantId: job.data.tenantId || null,
+        failedReason: error.message,
+        errorType: error.type || null,
+        attemptsMade: job.attemptsMade,
+        attempts: await this.getAttempts(job.id),
+        createdAt: new Date(job.timestamp).toISOString(),
+        failedAt: new Date(failedAt).toISOString()
+      };
+
+      await redis.multi()
+        .hset(this.entriesKey(), String(job.id), JSON.stringify(entry))
+        .zadd(this.indexKey(), failedAt, String(job.id))
+        .zadd(this.indexKey(entry.tenantId), failedAt, String(job.id))
+        .exec();
+
+      console.log(`Job ${job.id} moved to dead-letter store`);
+      return entry;
+    } catch (storeError) {
+      console.error('Failed to add job to dead-letter store:', storeError);
+      return null;
+    }
+  }
+
+  async get(jobId) {
+    const redis = redisClient.getClient();
+    const entry = await redis.hget(this.entriesKey(), String(jobId));
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  // Newest first. tenantId undefined lists every tenant.
+  async list(tenantId, { limit = 50, offset = 0, reason = null } = {}) {
+    const redis = redisClient.getClient();
+    const entries = [];
+    const batchSize = Math.max(limit, 100);
+    let position = offset;
+
+    // Filtering by reason happens after the fetch, so keep reading until the page fills
+    while (entries.length < limit) {
+      const jobIds = await redis.zrevrange(this.indexKey(tenantId), position, position + batchSize - 1);
+      if (jobIds.length === 0) {
+        break;
+      }
+
+      const stored = await redis.hmget(this.entriesKey(), ...jobIds);
+      for (const entry of stored) {
+        position++;
+        if (!entry) {
+          continue;
+        }
+
+        const parsed = JSON.parse(entry);
+        if (!reason || parsed.failedReason.includes(reason)) {
+          entries.push(parsed);
+          if (entries.length === limit) {
+            break;
+          }
+        }
+      }
+    }
+
+    return {
+      entries,
+      nextOffset: entries.length === limit ? position : null
+    };
+  }
+
+  async remove(jobId) {
+    const redis = redisClient.getClient();
+    const entry = await this.get(jobId);
+
+    if (!entry) {
+      return false;
+    }
+
+    await redis.multi()
+      .hdel(this.entriesKey(), String(jobId))
+      .zrem(this.indexKey(), String(jobId))
+      .zrem(this.indexKey(entry.tenantId), String(jobId))
+      .del(this.attemptsKey(jobId))
+      .exec();
+
+    return true;
+  }
+
+  // Remove every entry matching the filters, returning how many were purged
+  async purge(tenantId, { reason = null, before = null } = {}) {
+    const redis = redisClient.getClient();
+    const jobIds = await redis.zrange(this.indexKey(tenantId), 0, -1);
+    let purged = 0;
+
+    for (const jobId of jobIds) {
+      const entry = await this.get(jobId);
+      if (!entry) {
+        continue;
+      }
+
+      if (reason && !entry.failedReason.includes(reason)) {
+        continue;
+      }
+
+      if (before && Date.parse(entry.failedAt) >= before) {
+        continue;
+      }
+
+      await this.remove(jobId);
+      purged++;
+    }
+
+    return purged;
+  }
+}
+
+export const deadLetterStore = new DeadLetterStore();
@@ -0,0 +1,194 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { campaignStore } from './campaignStore.js';
+
+// Message lifecycle. A state can only move forward, so a late "sent"
+// report never overwrites a "delivered" one.
+const STATE_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 2,
+  rejected: 2,
+  cancelled: 2
+};
+
+export const DELIVERY_STATES = Object.keys(STATE_RANK);
+
+class DeliveryTracker {
+  constructor() {
+    this.ttlSeconds = config.deliveryTracking.ttlSeconds;
+  }
+
+  jobKey(jobId) {
+    return `sms_delivery:job:${jobId}`;
+  }
+
+  messageKey(messageId) {
+    return `sms_delivery:message:${messageId}`;
+  }
+
+  async getStatus(jobId) {
+    const redis = redisClient.getClient();
+
+    try {
+      const record = await redis.get(this.jobKey(jobId));
+      return record ? JSON.parse(record) : null;
+    } catch (error) {
+      console.error('Failed to get delivery status:', error);
+      return null;
+    }
+  }
+
+  async getStatusByMessageId(messageId) {
+    const redis = redisClient.getClient();
+
+    try {
+      const jobId = await redis.get(this.messageKey(messageId));
+      return jobId ? await this.getStatus(jobId) : null;
+    } catch (error) {
+      console.error('Failed to get delivery status by message ID:', error);
+      return null;
+    }
+  }
+
+  async markQueued(jobId, { to, identifier = null, callbackUrl = null, campaignId = null }) {
+    const now = new Date().toISOString();
+    const record = {
+      jobId,
+      messageId: null,
+      to,
+      identifier,
+      callbackUrl,
+      campaignId,
+      provider: null,
+      state: 'queued',
+      providerStatus: null,
+      failureReason: null,
+      history: [{ state: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save(record);
+    return record;
+  }
+
+  async markSent(jobId, { messageId, provider, from = null, providerStatus }) {
+    const record = await this.transition(jobId, 'sent', { messageId, provider, from, providerStatus });
+
+    if (record && messageId) {
+      const redis = redisClient.getClient();
+
+      try {
+        await redis.setex(this.messageKey(messageId), this.ttlSeconds, String(jobId));
+      } catch (error) {
+        console.error('Failed to index delivery status by message ID:', error);
+      }
+    }
+
+    return record;
+  }
+
+  async markFailed(jobId, failureReason, errorType = null) {
+    return await this.transition(jobId, 'failed', { failureReason, errorType });
+  }
+
+  async markCancelled(jobId) {
+    return await this.transition(jobId, 'cancelled');
+  }
+
+  // Throttling does not change the state; it is shown alongside it
+  async markThrottled(jobId, throttledUntil) {
+    const record = await this.getStatus(jobId);
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    record.throttledUntil = new Date(throttledUntil).toISOString();
+    record.history.push({ state: 'throttled', until: record.throttledUntil, at: now });
+    record.updatedAt = now;
+
+    await this.save(record);
+    return record;
+  }
+
+  // A manual retry is the one case where a failed job goes back to queued
+  async markRequeued(jobId) {
+    const record = await this.getStatus(jobId);
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const previousState = record.state;
+    Object.assign(record, { state: 'queued', failureReason: null, updatedAt: now });
+    record.history.push({ state: 'queued', at: now, requeued: true });
+
+    await this.save(record);
+
+    if (record.campaignId) {
+      await campaignStore.recordTransition(record.campaignId, previousState, 'queued');
+    }
+
+    return record;
+  }
+
+  // Apply a normalized delivery report from a provider callback
+  async applyDeliveryReport({ messageId, state, providerStatus, failureReason }) {
+    const redis = redisClient.getClient();
+    const jobId = await redis.get(this.messageKey(messageId));
+
+    if (!jobId) {
+      return null;
+    }
+
+    return await this.transition(jobId, state, { providerStatus, failureReason });
+  }
+
+  async transition(jobId, state, fields = {}) {
+    if (!(state in STATE_RANK)) {
+      throw new Error(`Unknown delivery state: ${state}`);
+    }
+
+    const record = await this.getStatus(jobId);
+    if (!record) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const changes = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    if (STATE_RANK[state] <= STATE_RANK[record.state]) {
+      // Keep the report in the history without moving the state backwards
+      record.history.push({ state, ...changes, at: now, ignored: true });
+    } else {
+      const previousState = record.state;
+      Object.assign(record, changes, { state });
+      record.history.push({ state, ...changes, at: now });
+
+      if (record.campaignId) {
+        await campaignStore.recordTransition(record.campaignId, previousState, state, changes);
+      }
+    }
+
+    record.updatedAt = now;
+    await this.save(record);
+    return record;
+  }
+
+  async save(record) {
+    const redis = redisClient.getClient();
+
+    try {
+      await redis.setex(this.jobKey(record.jobId), this.ttlSeconds, JSON.stringify(record));
+    } catch (error) {
+      console.error('Failed to save delivery status:', error);
+    }
+  }
+}
+
+export const deliveryTracker = new DeliveryTracker();
@@ -0,0 +1,93 @@
+// Every send failure is classified into one of these types. Retry, logging
+// and stats decisions are made from the type, never from the message text.
+export const ERROR_TYPES = {
+  VALIDATION: 'validation',
+  RATE_LIMITED: 'rate_limited',
+  PROVIDER_TRANSIENT: 'provider_transient',
+  PROVIDER_PERMANENT: 'provider_permanent',
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  BLACKLISTED: 'blacklisted',
+  BUDGET_EXCEEDED: 'budget_exceeded'
+};
+
+// Types worth retrying later on the same job
+const RETRYABLE_TYPES = [ERROR_TYPES.PROVIDER_TRANSIENT];
+
+// Types another provider may still be able to send, so failover continues
+const FAILOVER_TYPES = [ERROR_TYPES.PROVIDER_TRANSIENT, ERROR_TYPES.INSUFFICIENT_BALANCE];
+
+export function isRetryableErrorType(type) {
+  return RETRYABLE_TYPES.includes(type);
+}
+
+export function shouldFailover(type) {
+  return FAILOVER_TYPES.includes(type);
+}
+
+// Raised for bad caller input. The API maps it to a 400 response and the
+// queue never retries it.
+export class ValidationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'ValidationError';
+    this.type = ERROR_TYPES.VALIDATION;
+    this.details = details;
+    this.retryable = false;
+  }
+}
+
+// Raised when the recipient is on a suppression list
+export class RecipientOptedOutError extends ValidationError {
+  constructor(number) {
+    super('Recipient opted out', { number });
+    this.name = 'RecipientOptedOutError';
+  }
+}
+
+// Raised when a send would take the tenant over its daily or monthly budget.
+// The API maps it to a 402 response and the queue never retries it.
+export class BudgetExceededError extends Error {
+  constructor({ period, limit, spent, currency, resetsAt }) {
+    super(`${period === 'daily' ? 'Daily' : 'Monthly'} budget of ${limit} ${currency} exceeded`);
+    this.name = 'BudgetExceededError';
+    this.type = ERROR_TYPES.BUDGET_EXCEEDED;
+    this.details = { period, limit, spent, currency, resetsAt };
+    this.resetsAt = resetsAt;
+    this.retryable = false;
+  }
+}
+
+// Raised when the sender's rate limit is exhausted
+export class RateLimitError extends Error {
+  constructor(message, { resetTime = null, blockDuration = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.type = ERROR_TYPES.RATE_LIMITED;
+    this.resetTime = resetTime;
+    this.blockDuration = blockDuration;
+    this.retryable = false;
+  }
+}
+
+// Raised when a provider refuses or fails to send a message. Adapters pick
+// the type from the provider's own status codes.
+export class ProviderError extends Error {
+  constructor(message, { type = ERROR_TYPES.PROVIDER_TRANSIENT, provider = null, statusCode = null, providerStatus = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.type = type;
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.providerStatus = providerStatus;
+    this.retryable = isRetryableErrorType(type);
+  }
+}
+
+// Raised when an idempotency key is reused for a different request, or
+// while the original request is still being processed
+export class IdempotencyConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyConflictError';
+  }
+}
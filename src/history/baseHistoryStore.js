@@ -0,0 +1,29 @@
+// Base class every message history adapter extends. Entries are append-only
+// and returned newest first; the cursor is opaque to callers. Filters are
+// to, tenantId, status, campaignId, provider, and since/until in epoch ms.
+export class MessageHistoryStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Store one entry and return its ID
+  async append(entry) {
+    throw new Error(`History store ${this.name} does not implement append()`);
+  }
+
+  // Return { entries, nextCursor } for entries older than the cursor.
+  // nextCursor is null once there is nothing left to read.
+  async query(filters = {}, { limit = 50, cursor = null } = {}) {
+    throw new Error(`History store ${this.name} does not implement query()`);
+  }
+
+  async close() {}
+
+  matches(entry, filters) {
+    return (!filters.to || entry.to === filters.to)
+      && (!filters.tenantId || entry.tenantId === filters.tenantId)
+      && (!filters.status || entry.status === filters.status)
+      && (!filters.campaignId || entry.campaignId === filters.campaignId)
+      && (!filters.provider || entry.provider === filters.provider);
+  }
+}
@@ -0,0 +1,29 @@
+import { config } from '../config.js';
+import { RedisStreamHistoryStore } from './redisStreamHistoryStore.js';
+import { SqliteHistoryStore } from './sqliteHistoryStore.js';
+
+const historyStoreFactories = {
+  redis: () => new RedisStreamHistoryStore({
+    maxEntries: config.history.redis.maxEntries,
+    retentionDays: config.history.retentionDays,
+    maxScan: config.history.redis.maxScan
+  }),
+  sqlite: () => new SqliteHistoryStore({
+    filename: config.history.sqlite.filename,
+    retentionDays: config.history.retentionDays
+  })
+};
+
+export function createHistoryStore(name = config.history.store) {
+  const factory = historyStoreFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown message history store: ${name}. Available stores: ${Object.keys(historyStoreFactories).join(', ')}`);
+  }
+
+  return factory();
+}
+
+export { MessageHistoryStore } from './baseHistoryStore.js';
+export { RedisStreamHistoryStore } from './redisStreamHistoryStore.js';
+export { SqliteHistoryStore } from './sqliteHistoryStore.js';
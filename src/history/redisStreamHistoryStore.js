@@ -0,0 +1,98 @@
+import { redisClient } from '../redis.js';
+import { ValidationError } from '../errors.js';
+import { MessageHistoryStore } from './baseHistoryStore.js';
+
+// Entries read per XREVRANGE call while scanning for matches
+const SCAN_CHUNK = 500;
+
+const TRIM_INTERVAL_MS = 3600000;
+
+// Keeps history in a single Redis stream. Stream IDs start with the append
+// time in milliseconds, so date ranges and cursors bound the read directly;
+// the other filters are applied while scanning, up to maxScan entries per
+// query.
+export class RedisStreamHistoryStore extends MessageHistoryStore {
+  constructor({ key = 'sms_history', maxEntries, retentionDays, maxScan }) {
+    super('redis');
+    this.key = key;
+    this.maxEntries = maxEntries;
+    this.retentionDays = retentionDays;
+    this.maxScan = maxScan;
+    this.lastTrimmedAt = 0;
+  }
+
+  async append(entry) {
+    const redis = redisClient.getClient();
+    const id = await redis.xadd(this.key, 'MAXLEN', '~', this.maxEntries, '*', 'entry', JSON.stringify(entry));
+    await this.trimExpired(redis);
+    return id;
+  }
+
+  // Age-based trimming uses XTRIM MINID (Redis 6.2+), at most once an hour
+  async trimExpired(redis) {
+    if (Date.now() - this.lastTrimmedAt < TRIM_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastTrimmedAt = Date.now();
+
+    try {
+      await redis.xtrim(this.key, 'MINID', '~', Date.now() - this.retentionDays * 86400000);
+    } catch (error) {
+      console.error('Failed to trim message history:', error);
+    }
+  }
+
+  async query(filters = {}, { limit = 50, cursor = null } = {}) {
+    if (cursor && !/^\d+-\d+$/.test(cursor)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    const redis = redisClient.getClient();
+    const start = filters.since ? String(filters.since) : '-';
+    let end = cursor ? this.previousId(cursor) : filters.until ? String(filters.until) : '+';
+
+    const entries = [];
+    let scanned = 0;
+    let lastId = null;
+
+    while (scanned < this.maxScan) {
+      const batch = await redis.xrevrange(this.key, end, start, 'COUNT', Math.min(SCAN_CHUNK, this.maxScan - scanned));
+
+      for (const [id, fields] of batch) {
+        scanned++;
+        lastId = id;
+
+        const entry = { id, ...JSON.parse(fields[1]) };
+        if (this.matches(entry, filters)) {
+          entries.push(entry);
+
+          if (entries.length === limit) {
+            return { entries, nextCursor: id };
+          }
+        }
+      }
+
+      // Reached the start of the stream or of the date range
+      if (batch.length < SCAN_CHUNK) {
+        return { entries, nextCursor: scanned < this.maxScan ? null : lastId };
+      }
+
+      end = this.previousId(lastId);
+    }
+
+    // Scan budget used up; the caller continues from where this query stopped
+    return { entries, nextCursor: lastId };
+  }
+
+  // The largest stream ID lower than id, so a cursor is exclusive
+  previousId(id) {
+    const [ms, seq = '0'] = String(id).split('-');
+
+    if (seq === '0') {
+      return `${BigInt(ms) - 1n}-18446744073709551615`;
+    }
+
+    return `${ms}-${BigInt(seq) - 1n}`;
+  }
+}
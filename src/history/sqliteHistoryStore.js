@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { ValidationError } from '../errors.js';
+import { MessageHistoryStore } from './baseHistoryStore.js';
+
+const PURGE_INTERVAL_MS = 3600000;
+
+// Filter name -> indexed column
+const FILTER_COLUMNS = {
+  to: 'recipient',
+  tenantId: 'tenant_id',
+  status: 'status',
+  campaignId: 'campaign_id',
+  provider: 'provider'
+};
+
+// Keeps history in a local SQLite file, for single-node deployments and
+// development. Filtered columns are stored next to the JSON entry and indexed.
+// Needs the optional better-sqlite3 package.
+export class SqliteHistoryStore extends MessageHistoryStore {
+  constructor({ filename, retentionDays }) {
+    super('sqlite');
+    this.filename = filename;
+    this.retentionDays = retentionDays;
+    this.db = null;
+    this.opening = null;
+    this.purgeTimer = null;
+  }
+
+  async open() {
+    if (!this.opening) {
+      this.opening = this.connect();
+    }
+
+    return await this.opening;
+  }
+
+  async connect() {
+    let Database;
+
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('HISTORY_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS message_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        recipient TEXT,
+        tenant_id TEXT,
+        status TEXT,
+        campaign_id TEXT,
+        provider TEXT,
+        entry TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS message_history_timestamp ON message_history (timestamp);
+      CREATE INDEX IF NOT EXISTS message_history_recipient ON message_history (recipient, id);
+      CREATE INDEX IF NOT EXISTS message_history_tenant ON message_history (tenant_id, id);
+      CREATE INDEX IF NOT EXISTS message_history_campaign ON message_history (campaign_id, id);
+    `);
+
+    this.insertStatement = this.db.prepare(`
+      INSERT INTO message_history (timestamp, recipient, tenant_id, status, campaign_id, provider, entry)
+      VALUES (@timestamp, @recipient, @tenantId, @status, @campaignId, @provider, @entry)
+    `);
+
+    this.purge();
+    this.purgeTimer = setInterval(() => this.purge(), PURGE_INTERVAL_MS);
+    this.purgeTimer.unref();
+
+    return this.db;
+  }
+
+  purge() {
+    try {
+      this.db.prepare('DELETE FROM message_history WHERE timestamp < ?').run(Date.now() - this.retentionDays * 86400000);
+    } catch (error) {
+      console.error('Failed to purge message history:', error);
+    }
+  }
+
+  async append(entry) {
+    await this.open();
+
+    const { lastInsertRowid } = this.insertStatement.run({
+      timestamp: Date.parse(entry.timestamp) || Date.now(),
+      recipient: entry.to || null,
+      tenantId: entry.tenantId || null,
+      status: entry.status || null,
+      campaignId: entry.campaignId || null,
+      provider: entry.provider || null,
+      entry: JSON.stringify(entry)
+    });
+
+    return String(lastInsertRowid);
+  }
+
+  async query(filters = {}, { limit = 50, cursor = null } = {}) {
+    if (cursor && !/^\d+$/.test(cursor)) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    const db = await this.open();
+    const clauses = [];
+    const params = [];
+
+    for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+      if (filters[filter]) {
+        clauses.push(`${column} = ?`);
+        params.push(filters[filter]);
+      }
+    }
+
+    if (filters.since) {
+      clauses.push('timestamp >= ?');
+      params.push(filters.since);
+    }
+
+    if (filters.until) {
+      clauses.push('timestamp <= ?');
+      params.push(filters.until);
+    }
+
+    if (cursor) {
+      clauses.push('id < ?');
+      params.push(Number(cursor));
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    // One extra row tells whether another page exists
+    const rows = db.prepare(`SELECT id, entry FROM message_history ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit + 1);
+    const page = rows.slice(0, limit);
+
+    return {
+      entries: page.map(row => ({ id: String(row.id), ...JSON.parse(row.entry) })),
+      nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null
+    };
+  }
+
+  async close() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+    }
+
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+}
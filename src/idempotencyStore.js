@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { IdempotencyConflictError, ValidationError } from './errors.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Remembers the outcome of requests sent with an idempotency key so a client
+// retrying after a timeout gets the original response instead of a second
+// message. Keys are scoped per tenant and expire after the configured TTL.
+class IdempotencyStore {
+  constructor() {
+    this.ttlSeconds = config.idempotency.ttlSeconds;
+  }
+
+  recordKey(scope, key) {
+    return `idempotency:${scope || 'global'}:${key}`;
+  }
+
+  // JSON with sorted keys, so { a, b } and { b, a } fingerprint the same
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  fingerprint(payload) {
+    return crypto.createHash('sha256').update(this.stableStringify(payload)).digest('hex');
+  }
+
+  // Claim a key for a new request. Returns null when claimed, otherwise the
+  // record left by the earlier request with this key.
+  async reserve(scope, key, fingerprint) {
+    const redis = redisClient.getClient();
+    const record = {
+      fingerprint,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    const claimed = await redis.set(this.recordKey(scope, key), JSON.stringify(record), 'EX', this.ttlSeconds, 'NX');
+    if (claimed) {
+      return null;
+    }
+
+    const existing = await redis.get(this.recordKey(scope, key));
+    if (!existing) {
+      // Expired between SET and GET; try to claim it again
+      return await this.reserve(scope, key, fingerprint);
+    }
+
+    const parsed = JSON.parse(existing);
+    if (parsed.fingerprint !== fingerprint) {
+      throw new IdempotencyConflictError('Idempotency key was already used with a different payload');
+    }
+
+    if (parsed.status === 'pending') {
+      throw new IdempotencyConflictError('A request with this idempotency key is still being processed');
+    }
+
+    return parsed;
+  }
+
+  async complete(scope, key, fingerprint, result) {
+    const redis = redisClient.getClient();
+    const record = {
+      fingerprint,
+      status: 'completed',
+      result,
+      completedAt: new Date().toISOString()
+    };
+
+    await redis.set(this.recordKey(scope, key), JSON.stringify(record), 'EX', this.ttlSeconds);
+  }
+
+  // Forget a key whose request failed, so the client can retry it
+  async release(scope, key) {
+    const redis = redisClient.getClient();
+    await redis.del(this.recordKey(scope, key));
+  }
+
+  // Run fn at most once per key; repeats get the stored result back
+  async execute(scope, key, payload, fn) {
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+      throw new ValidationError(`idempotencyKey must be a string of at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const fingerprint = this.fingerprint(payload);
+    const existing = await this.reserve(scope, key, fingerprint);
+
+    if (existing) {
+      return { replayed: true, result: existing.result };
+    }
+
+    try {
+      const result = await fn();
+      await this.complete(scope, key, fingerprint, result);
+      return { replayed: false, result };
+    } catch (error) {
+      await this.release(scope, key);
+      throw error;
+    }
+  }
+
+  // Called by a handler once its request has had an effect (a job queued,
+  // a campaign created). From then on the response is stored whatever its
+  // status, so a retry after a later failure cannot repeat the effect.
+  markCommitted(res) {
+    res.locals.idempotencyCommitted = true;
+  }
+
+  // Express middleware for routes that accept an Idempotency-Key header.
+  // Responses below 500 are stored and replayed; server errors release the
+  // key unless the handler had already committed.
+  middleware() {
+    return async (req, res, next) => {
+      const key = req.headers['idempotency-key'];
+      if (!key) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Idempotency-Key cannot be longer than ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      const scope = req.tenant?.id;
+      const fingerprint = this.fingerprint({ method: req.method, path: req.path, body: req.body });
+
+      try {
+        const existing = await this.reserve(scope, key, fingerprint);
+
+        if (existing) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.result.statusCode).json(existing.result.body);
+        }
+      } catch (error) {
+        if (error instanceof IdempotencyConflictError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        console.error('Error checking idempotency key:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to check idempotency key',
+          details: error.message
+        });
+      }
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const stored = res.statusCode >= 500 && !res.locals.idempotencyCommitted
+          ? this.release(scope, key)
+          : this.complete(scope, key, fingerprint, { statusCode: res.statusCode, body });
+
+        stored.catch(error => console.error('Failed to store idempotent response:', error));
+        return json(body);
+      };
+
+      next();
+    };
+  }
+}
+
+export const idempotencyStore = new IdempotencyStore();
@@ -1,8 +1,12 @@
 import express from 'express';
 import { redisClient } from './redis.js';
 import { queueProcessor } from './queueProcessor.js';
+import { webhookDispatcher } from './webhookDispatcher.js';
 import { apiRouter } from './api.js';
 import { config } from './config.js';
+import { apiKeyAuth } from './auth.js';
+import { metrics } from './metrics.js';
+import { messageHistory } from './messageHistory.js';
 
 class NotificationSystem {
   constructor() {
@@ -22,6 +26,9 @@ class NotificationSystem {
       // Initialize queue processor
       await queueProcessor.initialize();
 
+      // Initialize outbound webhook delivery
+      await webhookDispatcher.initialize();
+
       // Setup routes
       this.setupRoutes();
 
@@ -44,9 +51,17 @@ class NotificationSystem {
 
     // CORS
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      const origin = req.headers.origin;
+      const allowedOrigins = config.server.corsOrigins;
+
+      if (allowedOrigins.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+      } else if (origin && allowedOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+      }
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key');
       
       if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -67,6 +82,9 @@ class NotificationSystem {
       next();
     });
 
+    // API key authentication
+    this.app.use('/api/v1', apiKeyAuth.authenticate());
+
     // Error handling middleware
     this.app.use((err, req, res, next) => {
       console.error('Unhandled error:', err);
@@ -82,6 +100,12 @@ class NotificationSystem {
     // API routes
     this.app.use('/api/v1', apiRouter.router);
 
+    // Prometheus scrape endpoint, outside /api/v1 so it takes its own token
+    // rather than an API key
+    if (config.metrics.enabled) {
+      this.app.get('/metrics', this.serveMetrics.bind(this));
+    }
+
     // Root endpoint
     this.app.get('/', (req, res) => {
       res.json({
@@ -93,12 +117,33 @@ class NotificationSystem {
           health: '/api/v1/health',
           sendSMS: '/api/v1/sms/send',
           sendBulkSMS: '/api/v1/sms/bulk',
+          bulkUpload: '/api/v1/sms/bulk/upload',
+          imports: '/api/v1/sms/imports/:importId',
+          campaigns: '/api/v1/campaigns',
           getSMSStatus: '/api/v1/sms/status/:jobId',
+          scheduledSMS: '/api/v1/sms/scheduled',
+          cancelJob: '/api/v1/sms/jobs/:jobId/cancel',
+          retryJob: '/api/v1/sms/jobs/:jobId/retry',
+          deadLetters: '/api/v1/dead-letters',
+          deliveryReports: '/api/v1/sms/delivery-reports/:provider',
+          webhookDeliveries: '/api/v1/sms/status/:jobId/webhooks',
+          webhookSubscriptions: '/api/v1/webhooks/subscriptions',
           queueStats: '/api/v1/queue/stats',
           deliveryLogs: '/api/v1/sms/logs',
+          stats: '/api/v1/sms/stats',
           dailyStats: '/api/v1/sms/stats/daily',
+          spend: '/api/v1/spend',
           rateLimitStatus: '/api/v1/rate-limit/:identifier',
-          resetRateLimit: '/api/v1/rate-limit/:identifier/reset'
+          resetRateLimit: '/api/v1/rate-limit/:identifier/reset',
+          rateLimitPolicies: '/api/v1/admin/rate-limit-policies',
+          senderIds: '/api/v1/sender-ids',
+          inboundMessages: '/api/v1/sms/inbound/:provider',
+          conversations: '/api/v1/conversations',
+          keywordRules: '/api/v1/keyword-rules',
+          suppressions: '/api/v1/suppressions',
+          templates: '/api/v1/templates',
+          apiKeys: '/api/v1/admin/api-keys',
+          metrics: config.metrics.enabled ? '/metrics' : undefined
         }
       });
     });
@@ -113,6 +158,44 @@ class NotificationSystem {
     });
   }
 
+  async serveMetrics(req, res) {
+    // Labels carry tenant IDs, so scraping needs METRICS_TOKEN unless the
+    // endpoint has been made public explicitly
+    if (!config.metrics.public) {
+      if (!config.metrics.token) {
+        return res.status(401).json({
+          success: false,
+          error: 'Metrics require METRICS_TOKEN to be set, or METRICS_PUBLIC=true'
+        });
+      }
+
+      const header = req.get('authorization') || '';
+      if (!header.startsWith('Bearer ') || !apiKeyAuth.safeEqual(header.slice(7), config.metrics.token)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or missing metrics token'
+        });
+      }
+    }
+
+    try {
+      // Queue depth comes from BullMQ's counters, refreshed on each scrape
+      const queueStats = await queueProcessor.getQueueStats();
+      metrics.recordQueueDepth(queueStats?.lanes || {});
+
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+
+    } catch (error) {
+      console.error('Error rendering metrics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to render metrics',
+        details: error.message
+      });
+    }
+  }
+
   setupGracefulShutdown() {
     const shutdown = async (signal) => {
       console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
@@ -125,6 +208,8 @@ class NotificationSystem {
 
         // Close queue processor
         await queueProcessor.close();
+        await webhookDispatcher.close();
+        await messageHistory.close();
 
         // Disconnect from Redis
         await redisClient.disconnect();
@@ -170,6 +255,8 @@ class NotificationSystem {
     }
     
     await queueProcessor.close();
+    await webhookDispatcher.close();
+    await messageHistory.close();
     await redisClient.disconnect();
     
     console.log('Notification system stopped');
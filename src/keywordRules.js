@@ -0,0 +1,114 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+import { suppressionList } from './suppressionList.js';
+import { queueProcessor } from './queueProcessor.js';
+import { apiKeyAuth } from './auth.js';
+
+const KEYWORD_PATTERN = /^[A-Z0-9]{1,20}$/;
+
+// Keywords handled before tenant rules; STOP also opts the number out
+const BUILT_IN_KEYWORDS = ['STOP', 'HELP'];
+
+// Auto-replies to inbound keywords. Tenants define their own keywords;
+// STOP and HELP are built in and answered with the configured replies.
+class KeywordRules {
+  rulesKey(tenantId) {
+    return `sms_keyword_rules:${tenantId || 'global'}`;
+  }
+
+  parseKeyword(text) {
+    return (text || '').trim().split(/\s+/)[0].toUpperCase();
+  }
+
+  async setRule(tenantId, keyword, { reply }) {
+    const normalized = (keyword || '').toUpperCase();
+
+    if (!KEYWORD_PATTERN.test(normalized)) {
+      throw new ValidationError('keyword must be 1-20 letters or digits');
+    }
+
+    if (BUILT_IN_KEYWORDS.includes(normalized) || suppressionList.isStopKeyword(normalized)) {
+      throw new ValidationError(`${normalized} is a reserved keyword`);
+    }
+
+    if (typeof reply !== 'string' || reply.trim().length === 0) {
+      throw new ValidationError('reply cannot be empty');
+    }
+
+    const redis = redisClient.getClient();
+    const rule = {
+      keyword: normalized,
+      reply: reply.trim(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await redis.hset(this.rulesKey(tenantId), normalized, JSON.stringify(rule));
+    return rule;
+  }
+
+  async getRule(tenantId, keyword) {
+    const redis = redisClient.getClient();
+    const rule = await redis.hget(this.rulesKey(tenantId), keyword.toUpperCase());
+    return rule ? JSON.parse(rule) : null;
+  }
+
+  async listRules(tenantId) {
+    const redis = redisClient.getClient();
+    const rules = await redis.hvals(this.rulesKey(tenantId));
+    return rules.map(rule => JSON.parse(rule)).sort((a, b) => a.keyword.localeCompare(b.keyword));
+  }
+
+  async deleteRule(tenantId, keyword) {
+    const redis = redisClient.getClient();
+    const removed = await redis.hdel(this.rulesKey(tenantId), keyword.toUpperCase());
+    return removed > 0;
+  }
+
+  // Apply opt-outs and queue any auto-reply for an inbound message
+  async handleInbound(inbound) {
+    const keyword = this.parseKeyword(inbound.text);
+    const { optedOut } = await suppressionList.handleInboundMessage({ from: inbound.number, text: inbound.text, tenantId: inbound.tenantId });
+
+    let reply = null;
+    if (optedOut) {
+      reply = config.inbound.stopReply;
+    } else if (keyword === 'HELP') {
+      reply = config.inbound.helpReply;
+    } else if (keyword) {
+      reply = (await this.getRule(inbound.tenantId, keyword))?.reply || null;
+    }
+
+    if (!reply) {
+      return { keyword, optedOut, replyJobId: null, replyError: null };
+    }
+
+    // The inbound message is already stored, so a reply that cannot be
+    // queued (e.g. a suppressed sender texting HELP) is skipped rather than
+    // failing the callback and making the provider redeliver it
+    let job;
+    try {
+      job = await queueProcessor.addSMSJob({
+        to: inbound.number,
+        message: reply,
+        identifier: apiKeyAuth.scopeIdentifier({ id: inbound.tenantId }, 'auto-reply'),
+        tenantId: inbound.tenantId,
+        // The sender is waiting on the reply
+        trafficClass: 'transactional',
+        metadata: {
+          autoReply: keyword,
+          inReplyTo: inbound.id
+        },
+        // The STOP confirmation has to reach a number that was just suppressed
+        skipSuppressionCheck: optedOut
+      });
+    } catch (error) {
+      console.warn(`Skipped ${keyword} auto-reply to ${inbound.number}: ${error.message}`);
+      return { keyword, optedOut, replyJobId: null, replyError: error.message };
+    }
+
+    return { keyword, optedOut, replyJobId: job.id, replyError: null };
+  }
+}
+
+export const keywordRules = new KeywordRules();
@@ -0,0 +1,63 @@
+import { createHistoryStore } from './history/index.js';
+import { ValidationError } from './errors.js';
+
+export const HISTORY_STATUSES = ['success', 'failed', 'throttled'];
+
+// Durable record of every send attempt: the full message, sender, provider
+// response and job context. Storage is pluggable (HISTORY_STORE).
+class MessageHistory {
+  constructor() {
+    this.store = createHistoryStore();
+  }
+
+  // A history write failing must never fail the send itself
+  async record(entry) {
+    try {
+      return await this.store.append(entry);
+    } catch (error) {
+      console.error('Failed to record message history:', error);
+      return null;
+    }
+  }
+
+  parseTime(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`${field} must be an ISO 8601 date or epoch milliseconds`);
+    }
+
+    return time;
+  }
+
+  async query({ to, tenantId, status, campaignId, provider, since, until } = {}, { limit = 50, cursor = null } = {}) {
+    if (status && !HISTORY_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${HISTORY_STATUSES.join(', ')}`);
+    }
+
+    const filters = {
+      to: to || null,
+      tenantId: tenantId || null,
+      status: status || null,
+      campaignId: campaignId || null,
+      provider: provider || null,
+      since: this.parseTime(since, 'since'),
+      until: this.parseTime(until, 'until')
+    };
+
+    if (filters.since && filters.until && filters.since > filters.until) {
+      throw new ValidationError('since must be before until');
+    }
+
+    return await this.store.query(filters, { limit, cursor: cursor || null });
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+export const messageHistory = new MessageHistory();
@@ -0,0 +1,112 @@
+import client from 'prom-client';
+import { config } from './config.js';
+
+// Jobs without a tenant (unauthenticated deployments, system sends)
+const NO_TENANT = 'none';
+
+// Prometheus metrics for the process. Counters and histograms are recorded
+// as jobs move through the queue; queue depth gauges are refreshed from
+// BullMQ's counts on every scrape.
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    const prefix = config.metrics.prefix;
+
+    if (config.metrics.collectDefault) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+
+    this.jobsEnqueued = new client.Counter({
+      name: `${prefix}jobs_enqueued_total`,
+      help: 'SMS jobs added to the queue',
+      labelNames: ['lane', 'tenant'],
+      registers: [this.registry]
+    });
+
+    this.jobsCompleted = new client.Counter({
+      name: `${prefix}jobs_completed_total`,
+      help: 'SMS jobs sent successfully',
+      labelNames: ['lane', 'provider', 'tenant'],
+      registers: [this.registry]
+    });
+
+    this.jobsFailed = new client.Counter({
+      name: `${prefix}jobs_failed_total`,
+      help: 'SMS jobs that failed for good, by error type',
+      labelNames: ['lane', 'reason', 'provider', 'tenant'],
+      registers: [this.registry]
+    });
+
+    this.providerLatency = new client.Histogram({
+      name: `${prefix}provider_request_duration_seconds`,
+      help: 'Time taken by a provider to accept or reject a message',
+      labelNames: ['provider', 'outcome'],
+      buckets: config.metrics.providerLatencyBuckets,
+      registers: [this.registry]
+    });
+
+    this.enqueueToSend = new client.Histogram({
+      name: `${prefix}enqueue_to_send_seconds`,
+      help: 'Time from enqueue (or the scheduled send time) until the provider accepted the message',
+      labelNames: ['lane'],
+      buckets: config.metrics.enqueueToSendBuckets,
+      registers: [this.registry]
+    });
+
+    this.queueJobs = new client.Gauge({
+      name: `${prefix}queue_jobs`,
+      help: 'Jobs in each lane by state',
+      labelNames: ['lane', 'state'],
+      registers: [this.registry]
+    });
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  recordEnqueued(job) {
+    this.jobsEnqueued.inc({ lane: job.data.trafficClass, tenant: job.data.tenantId || NO_TENANT });
+  }
+
+  recordCompleted(job) {
+    this.jobsCompleted.inc({
+      lane: job.data.trafficClass,
+      provider: job.returnvalue?.provider || 'unknown',
+      tenant: job.data.tenantId || NO_TENANT
+    });
+  }
+
+  recordFailed(job, error) {
+    this.jobsFailed.inc({
+      lane: job.data.trafficClass,
+      reason: error.type || 'unknown',
+      provider: error.provider || 'none',
+      tenant: job.data.tenantId || NO_TENANT
+    });
+  }
+
+  recordProviderRequest(providerName, outcome, durationMs) {
+    this.providerLatency.observe({ provider: providerName, outcome }, durationMs / 1000);
+  }
+
+  // Scheduled jobs are measured from their send time, not from when they were queued
+  recordSent(job) {
+    const start = job.data.scheduledFor ? Date.parse(job.data.scheduledFor) : job.timestamp;
+    this.enqueueToSend.observe({ lane: job.data.trafficClass }, Math.max(0, Date.now() - start) / 1000);
+  }
+
+  recordQueueDepth(lanes) {
+    for (const [lane, counts] of Object.entries(lanes)) {
+      for (const state of ['waiting', 'active', 'delayed', 'completed', 'failed']) {
+        this.queueJobs.set({ lane, state }, counts[state]);
+      }
+    }
+  }
+
+  async render() {
+    return await this.registry.metrics();
+  }
+}
+
+export const metrics = new Metrics();
@@ -0,0 +1,201 @@
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+// Numbering rules per country: national significant number lengths and the
+// leading digits that identify mobile and fixed-line ranges. Countries not
+// listed here are still accepted in E.164 form, untagged.
+const COUNTRY_RULES = {
+  KE: {
+    callingCode: '254',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['7', '1'] },
+      fixed: { lengths: [9], prefixes: ['2', '4', '5', '6'] }
+    }
+  },
+  UG: {
+    callingCode: '256',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['7'] },
+      fixed: { lengths: [9], prefixes: ['2', '3', '4'] }
+    }
+  },
+  TZ: {
+    callingCode: '255',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['6', '7'] },
+      fixed: { lengths: [9], prefixes: ['2'] }
+    }
+  },
+  RW: {
+    callingCode: '250',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['7'] },
+      fixed: { lengths: [9], prefixes: ['2'] }
+    }
+  },
+  NG: {
+    callingCode: '234',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [10], prefixes: ['70', '80', '81', '90', '91'] },
+      fixed: { lengths: [8], prefixes: ['1', '2', '3', '4', '5', '6', '7', '8', '9'] }
+    }
+  },
+  GH: {
+    callingCode: '233',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['20', '23', '24', '25', '26', '27', '28', '50', '53', '54', '55', '56', '57', '59'] },
+      fixed: { lengths: [9], prefixes: ['3'] }
+    }
+  },
+  ZA: {
+    callingCode: '27',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [9], prefixes: ['6', '7', '81', '82', '83', '84'] },
+      fixed: { lengths: [9], prefixes: ['1', '2', '3', '4', '5'] }
+    }
+  },
+  GB: {
+    callingCode: '44',
+    nationalPrefix: '0',
+    types: {
+      mobile: { lengths: [10], prefixes: ['7'] },
+      fixed: { lengths: [9, 10], prefixes: ['1', '2'] }
+    }
+  },
+  // NANP numbers do not reveal whether they are mobile
+  US: {
+    callingCode: '1',
+    nationalPrefix: '1',
+    types: {
+      fixed_or_mobile: { lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'] }
+    }
+  }
+};
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+class PhoneNumberService {
+  constructor() {
+    this.defaultCountry = config.phoneNumbers.defaultCountry;
+    this.rejectFixedLine = config.phoneNumbers.rejectFixedLine;
+
+    // Longest calling codes first so +1 never shadows a longer match
+    this.callingCodes = Object.entries(COUNTRY_RULES)
+      .map(([country, rules]) => ({ country, callingCode: rules.callingCode }))
+      .sort((a, b) => b.callingCode.length - a.callingCode.length);
+  }
+
+  isSupportedCountry(country) {
+    return Object.prototype.hasOwnProperty.call(COUNTRY_RULES, country);
+  }
+
+  getSupportedCountries() {
+    return Object.keys(COUNTRY_RULES);
+  }
+
+  // Normalize a number to E.164 and tag it with its country and type.
+  // National formats (0712345678) need a default country to resolve.
+  normalize(input, defaultCountry = this.defaultCountry, { allowFixedLine = !this.rejectFixedLine } = {}) {
+    if (typeof input !== 'string' && typeof input !== 'number') {
+      throw new ValidationError('Invalid phone number format: number is required');
+    }
+
+    let digits = String(input).trim().replace(/[\s\-().]/g, '');
+    if (digits.startsWith('00')) {
+      digits = `+${digits.substring(2)}`;
+    }
+
+    if (digits.startsWith('+')) {
+      return this.parseInternational(digits, input, allowFixedLine);
+    }
+
+    if (!/^\d+$/.test(digits)) {
+      throw new ValidationError(`Invalid phone number format: ${input}`);
+    }
+
+    if (!defaultCountry) {
+      throw new ValidationError(`Invalid phone number format: ${input} is not in international format and no default country is set`);
+    }
+
+    const rules = COUNTRY_RULES[defaultCountry];
+    if (!rules) {
+      throw new ValidationError(`Unsupported default country: ${defaultCountry}`);
+    }
+
+    // Already a national significant number, e.g. 712345678
+    if (this.matchType(rules, digits)) {
+      return this.tag(defaultCountry, rules, digits, input, allowFixedLine);
+    }
+
+    // International number typed without the +, e.g. 254712345678
+    if (digits.startsWith(rules.callingCode) && this.matchType(rules, digits.substring(rules.callingCode.length))) {
+      return this.tag(defaultCountry, rules, digits.substring(rules.callingCode.length), input, allowFixedLine);
+    }
+
+    // National format with trunk prefix, e.g. 0712345678
+    const nationalNumber = digits.startsWith(rules.nationalPrefix)
+      ? digits.substring(rules.nationalPrefix.length)
+      : digits;
+
+    return this.tag(defaultCountry, rules, nationalNumber, input, allowFixedLine);
+  }
+
+  parseInternational(number, input, allowFixedLine) {
+    if (!E164_PATTERN.test(number)) {
+      throw new ValidationError(`Invalid phone number format: ${input}`);
+    }
+
+    const digits = number.substring(1);
+    const match = this.callingCodes.find(({ callingCode }) => digits.startsWith(callingCode));
+
+    if (!match) {
+      return {
+        e164: number,
+        country: null,
+        callingCode: null,
+        nationalNumber: null,
+        type: 'unknown'
+      };
+    }
+
+    return this.tag(match.country, COUNTRY_RULES[match.country], digits.substring(match.callingCode.length), input, allowFixedLine);
+  }
+
+  tag(country, rules, nationalNumber, input, allowFixedLine) {
+    const type = this.matchType(rules, nationalNumber);
+
+    if (!type) {
+      throw new ValidationError(`Invalid phone number format: ${input} is not a valid ${country} number`);
+    }
+
+    if (type === 'fixed' && !allowFixedLine) {
+      throw new ValidationError(`Fixed-line numbers cannot receive SMS: ${input}`);
+    }
+
+    return {
+      e164: `+${rules.callingCode}${nationalNumber}`,
+      country,
+      callingCode: rules.callingCode,
+      nationalNumber,
+      type
+    };
+  }
+
+  matchType(rules, nationalNumber) {
+    const match = Object.entries(rules.types).find(([, rule]) =>
+      rule.lengths.includes(nationalNumber.length) &&
+      rule.prefixes.some(prefix => nationalNumber.startsWith(prefix))
+    );
+
+    return match ? match[0] : null;
+  }
+}
+
+export const phoneNumbers = new PhoneNumberService();
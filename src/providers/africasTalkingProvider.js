@@ -0,0 +1,126 @@
+import africastalking from 'africastalking';
+import { SMSProvider } from './baseProvider.js';
+import { ERROR_TYPES, ProviderError } from '../errors.js';
+
+// Delivery report statuses documented by Africa's Talking
+const DELIVERY_STATUS_MAP = {
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Success: 'delivered',
+  Rejected: 'rejected',
+  Failed: 'failed',
+  AbsentSubscriber: 'failed',
+  Expired: 'failed'
+};
+
+// Per-recipient status codes returned by the send endpoint. 100-102 mean the
+// message was accepted; anything else means it will not be sent.
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+const RECIPIENT_STATUS_TYPES = {
+  401: ERROR_TYPES.PROVIDER_PERMANENT, // RiskHold
+  402: ERROR_TYPES.PROVIDER_PERMANENT, // InvalidSenderId
+  403: ERROR_TYPES.PROVIDER_PERMANENT, // InvalidPhoneNumber
+  404: ERROR_TYPES.PROVIDER_PERMANENT, // UnsupportedNumberType
+  405: ERROR_TYPES.INSUFFICIENT_BALANCE, // InsufficientBalance
+  406: ERROR_TYPES.BLACKLISTED, // UserInBlacklist
+  407: ERROR_TYPES.PROVIDER_TRANSIENT, // CouldNotRoute
+  409: ERROR_TYPES.BLACKLISTED, // DoNotDisturbRejection
+  500: ERROR_TYPES.PROVIDER_TRANSIENT, // InternalServerError
+  501: ERROR_TYPES.PROVIDER_TRANSIENT, // GatewayError
+  502: ERROR_TYPES.PROVIDER_TRANSIENT // RejectedByGateway
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'];
+
+export class AfricasTalkingProvider extends SMSProvider {
+  constructor({ username, apiKey }) {
+    super('africastalking');
+    this.client = africastalking({ username, apiKey });
+  }
+
+  async send({ to, message, from }) {
+    return await this.client.SMS.send({
+      to: [to],
+      message,
+      from
+    });
+  }
+
+  parseResponse(response) {
+    const recipient = response?.SMSMessageData?.Recipients?.[0];
+
+    if (!recipient) {
+      throw new ProviderError(`Unexpected Africa's Talking response: ${response?.SMSMessageData?.Message || 'no recipients'}`, {
+        provider: this.name
+      });
+    }
+
+    const statusCode = Number(recipient.statusCode);
+    if (!ACCEPTED_STATUS_CODES.includes(statusCode)) {
+      throw new ProviderError(`Africa's Talking rejected the message: ${recipient.status} (${statusCode})`, {
+        type: RECIPIENT_STATUS_TYPES[statusCode] || ERROR_TYPES.PROVIDER_PERMANENT,
+        provider: this.name,
+        statusCode,
+        providerStatus: recipient.status
+      });
+    }
+
+    return {
+      messageId: recipient.messageId,
+      status: recipient.status,
+      statusCode: recipient.statusCode,
+      cost: recipient.cost
+    };
+  }
+
+  parseDeliveryReport(body) {
+    if (!body?.id || !body?.status) {
+      throw new Error('Delivery report must include id and status');
+    }
+
+    return {
+      messageId: body.id,
+      state: DELIVERY_STATUS_MAP[body.status] || 'failed',
+      providerStatus: body.status,
+      failureReason: body.failureReason || null
+    };
+  }
+
+  parseInboundMessage(body) {
+    if (!body?.from || body?.text === undefined) {
+      throw new Error('Inbound message must include from and text');
+    }
+
+    return {
+      from: body.from,
+      to: body.to || null,
+      text: body.text,
+      providerMessageId: body.id || null,
+      receivedAt: body.date ? new Date(body.date).toISOString() : new Date().toISOString()
+    };
+  }
+
+  classifyError(error) {
+    // Network failures and upstream 5xx responses are transient
+    if (RETRYABLE_NETWORK_CODES.includes(error.code)) {
+      return { type: ERROR_TYPES.PROVIDER_TRANSIENT, reason: error.message };
+    }
+
+    const httpStatus = error.response?.status;
+    if (httpStatus) {
+      return {
+        type: httpStatus >= 500 || httpStatus === 429 ? ERROR_TYPES.PROVIDER_TRANSIENT : ERROR_TYPES.PROVIDER_PERMANENT,
+        reason: `Africa's Talking responded with HTTP ${httpStatus}`
+      };
+    }
+
+    // The SDK rejects with a plain Error when its own param validation fails
+    if (error.message?.includes('must be a valid phone number') || error.message?.includes('is required')) {
+      return { type: ERROR_TYPES.VALIDATION, reason: error.message };
+    }
+
+    return { type: ERROR_TYPES.PROVIDER_TRANSIENT, reason: error.message };
+  }
+}
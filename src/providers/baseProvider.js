@@ -0,0 +1,40 @@
+import { ERROR_TYPES } from '../errors.js';
+
+// Base class every SMS provider adapter extends. Providers only talk to the
+// upstream API; rate limiting, validation and logging stay in SMSService.
+export class SMSProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Send a single message and return the raw provider response
+  async send({ to, message, from }) {
+    throw new Error(`Provider ${this.name} does not implement send()`);
+  }
+
+  // Normalize a raw response into { messageId, status, cost }. Throw a
+  // ProviderError when the provider accepted the request but not the message.
+  parseResponse(response) {
+    throw new Error(`Provider ${this.name} does not implement parseResponse()`);
+  }
+
+  // Normalize a delivery report callback body into
+  // { messageId, state, providerStatus, failureReason }
+  parseDeliveryReport(body) {
+    throw new Error(`Provider ${this.name} does not support delivery reports`);
+  }
+
+  // Normalize an inbound (mobile-originated) message callback body into
+  // { from, to, text, providerMessageId, receivedAt }
+  parseInboundMessage(body) {
+    throw new Error(`Provider ${this.name} does not support inbound messages`);
+  }
+
+  // Map an error thrown by send() to one of ERROR_TYPES
+  classifyError(error) {
+    return {
+      type: ERROR_TYPES.PROVIDER_TRANSIENT,
+      reason: error.message
+    };
+  }
+}
@@ -0,0 +1,26 @@
+import { config } from '../config.js';
+import { AfricasTalkingProvider } from './africasTalkingProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+const providerFactories = {
+  africastalking: () => new AfricasTalkingProvider({
+    username: config.africasTalking.username,
+    apiKey: config.africasTalking.apiKey
+  }),
+  mock: () => new MockProvider(config.sms.mock)
+};
+
+export function createProvider(name = config.sms.provider) {
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${name}. Available providers: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return factory();
+}
+
+export { SMSProvider } from './baseProvider.js';
+export { AfricasTalkingProvider } from './africasTalkingProvider.js';
+export { MockProvider } from './mockProvider.js';
+export { ProviderRouter } from './providerRouter.js';
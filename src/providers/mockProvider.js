@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { SMSProvider } from './baseProvider.js';
+import { ERROR_TYPES } from '../errors.js';
+
+// Delivery states a dev/test report may set
+const REPORT_STATES = ['sent', 'delivered', 'failed', 'rejected'];
+
+// In-process provider for dev and test environments. Nothing leaves the
+// machine: messages are kept in memory and optionally appended to a file.
+export class MockProvider extends SMSProvider {
+  constructor({ sinkFile = null, maxRecorded = 1000 } = {}) {
+    super('mock');
+    this.sinkFile = sinkFile;
+    this.maxRecorded = maxRecorded;
+    this.sentMessages = [];
+  }
+
+  async send({ to, message, from }) {
+    const record = {
+      messageId: `mock-${crypto.randomUUID()}`,
+      to,
+      from,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    this.sentMessages.push(record);
+    if (this.sentMessages.length > this.maxRecorded) {
+      this.sentMessages.shift();
+    }
+
+    if (this.sinkFile) {
+      await fs.appendFile(this.sinkFile, JSON.stringify(record) + '\n');
+    }
+
+    return record;
+  }
+
+  parseResponse(response) {
+    return {
+      messageId: response.messageId,
+      status: 'Success',
+      cost: '0'
+    };
+  }
+
+  // Dev/test callers post { messageId, status } using our own state names
+  parseDeliveryReport(body) {
+    if (!body?.messageId) {
+      throw new Error('Delivery report must include messageId');
+    }
+
+    const state = body.status || 'delivered';
+    if (!REPORT_STATES.includes(state)) {
+      throw new Error(`Delivery report status must be one of: ${REPORT_STATES.join(', ')}`);
+    }
+
+    return {
+      messageId: body.messageId,
+      state,
+      providerStatus: state,
+      failureReason: body.failureReason || null
+    };
+  }
+
+  parseInboundMessage(body) {
+    if (!body?.from || body?.text === undefined) {
+      throw new Error('Inbound message must include from and text');
+    }
+
+    return {
+      from: body.from,
+      to: body.to || null,
+      text: body.text,
+      providerMessageId: body.id || `mock-inbound-${crypto.randomUUID()}`,
+      receivedAt: new Date().toISOString()
+    };
+  }
+
+  classifyError(error) {
+    // Only the file sink can fail here, and disk errors are worth retrying
+    return { type: ERROR_TYPES.PROVIDER_TRANSIENT, reason: error.message };
+  }
+
+  getSentMessages() {
+    return [...this.sentMessages];
+  }
+
+  clear() {
+    this.sentMessages = [];
+  }
+}
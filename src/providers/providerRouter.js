@@ -0,0 +1,66 @@
+import { createProvider } from './index.js';
+
+// Chooses the order in which providers are tried for a destination number.
+// Country routes pin a preferred provider for a prefix; the remaining
+// providers follow either in configured order or by weighted random draw.
+export class ProviderRouter {
+  constructor({ providers, strategy = 'ordered', countryRoutes = {} }) {
+    if (!providers || providers.length === 0) {
+      throw new Error('At least one SMS provider must be configured');
+    }
+
+    if (!['ordered', 'weighted'].includes(strategy)) {
+      throw new Error(`Unknown SMS routing strategy: ${strategy}`);
+    }
+
+    this.strategy = strategy;
+    this.entries = providers.map(({ name, weight = 1 }) => ({
+      provider: createProvider(name),
+      weight: weight > 0 ? weight : 1
+    }));
+    this.countryRoutes = countryRoutes;
+
+    // Match longest prefixes first so +2547 wins over +254
+    this.routePrefixes = Object.keys(countryRoutes).sort((a, b) => b.length - a.length);
+  }
+
+  getProviders() {
+    return this.entries.map(entry => entry.provider);
+  }
+
+  getProvider(name) {
+    return this.entries.find(entry => entry.provider.name === name)?.provider || null;
+  }
+
+  selectProviders(to) {
+    const ordered = this.strategy === 'weighted'
+      ? this.weightedOrder()
+      : this.entries.map(entry => entry.provider);
+
+    const preferredName = this.routeFor(to);
+    if (!preferredName) {
+      return ordered;
+    }
+
+    const preferred = ordered.find(provider => provider.name === preferredName);
+    if (!preferred) {
+      console.warn(`Country route for ${to} points to unconfigured provider ${preferredName}`);
+      return ordered;
+    }
+
+    return [preferred, ...ordered.filter(provider => provider !== preferred)];
+  }
+
+  routeFor(to) {
+    const prefix = this.routePrefixes.find(routePrefix => to.startsWith(routePrefix));
+    return prefix ? this.countryRoutes[prefix] : null;
+  }
+
+  weightedOrder() {
+    // Weighted random permutation: sort by random^(1/weight), highest first
+    return this.entries
+      .map(entry => ({ provider: entry.provider, key: Math.pow(Math.random(), 1 / entry.weight) }))
+      .sort((a, b) => b.key - a.key)
+      .map(entry => entry.provider);
+  }
+}
@@ -1,38 +1,56 @@
-import { Worker, Queue } from 'bullmq';
+import { Worker, Queue, UnrecoverableError, DelayedError } from 'bullmq';
 import { config } from './config.js';
 import { redisClient } from './redis.js';
 import { smsService } from './smsService.js';
+import { deliveryTracker } from './deliveryTracker.js';
+import { webhookDispatcher } from './webhookDispatcher.js';
+import { templateStore } from './templateStore.js';
+import { smsSegmenter } from './segmentation.js';
+import { phoneNumbers } from './phoneNumbers.js';
+import { tenantSettings } from './tenantSettings.js';
+import { suppressionList } from './suppressionList.js';
+import { RecipientOptedOutError, RateLimitError, BudgetExceededError, isRetryableErrorType } from './errors.js';
+import { conversationStore } from './conversationStore.js';
+import { idempotencyStore } from './idempotencyStore.js';
+import { sendScheduler } from './sendScheduler.js';
+import { deadLetterStore } from './deadLetterStore.js';
+import { trafficLanes, TRAFFIC_CLASSES, DEFERRED_PRIORITY } from './trafficLanes.js';
+import { campaignStore } from './campaignStore.js';
+import { senderIds } from './senderIds.js';
+import { metrics } from './metrics.js';
+import { spendTracker } from './spendTracker.js';
 
 class QueueProcessor {
   constructor() {
-    this.queue = null;
-    this.worker = null;
+    this.queues = {};
+    this.workers = {};
     this.processing = false;
   }
 
   async initialize() {
     try {
-      // Create queue
-      this.queue = new Queue(config.queue.name, {
-        connection: config.queue.connection
-      });
-
-      // Create worker with retry configuration
-      this.worker = new Worker(
-        config.queue.name,
-        this.processSMSJob.bind(this),
-        {
-          connection: config.queue.connection,
-          concurrency: 5, // Process 5 jobs concurrently
-          settings: {
-            stalledInterval: 30 * 1000, // 30 seconds
-            maxStalledCount: 1, // Allow 1 stall before moving to next attempt
+      // One queue and worker per traffic class, each with its own concurrency
+      for (const lane of TRAFFIC_CLASSES) {
+        this.queues[lane] = new Queue(trafficLanes.queueName(lane), {
+          connection: config.queue.connection
+        });
+
+        this.workers[lane] = new Worker(
+          trafficLanes.queueName(lane),
+          this.processSMSJob.bind(this),
+          {
+            connection: config.queue.connection,
+            concurrency: trafficLanes.concurrency(lane),
+            settings: {
+              stalledInterval: 30 * 1000, // 30 seconds
+              maxStalledCount: 1, // Allow 1 stall before moving to next attempt
+            }
           }
-        }
-      );
+        );
 
-      // Set up event listeners
-      this.setupEventListeners();
+        // Set up event listeners
+        this.setupEventListeners(lane);
+      }
 
       console.log('Queue processor initialized successfully');
     } catch (error) {
@@ -41,93 +59,420 @@ class QueueProcessor {
     }
   }
 
-  setupEventListeners() {
-    this.worker.on('completed', (job) => {
+  getQueueForJob(jobId) {
+    return this.queues[trafficLanes.laneForJobId(jobId)];
+  }
+
+  async getJob(jobId) {
+    return await this.getQueueForJob(jobId).getJob(jobId);
+  }
+
+  setupEventListeners(lane) {
+    const worker = this.workers[lane];
+    const queue = this.queues[lane];
+
+    worker.on('completed', (job) => {
       console.log(`Job ${job.id} completed successfully`);
       this.updateJobMetrics(job, 'completed');
+
+      // Jobs of a cancelled campaign complete without sending
+      if (job.returnvalue?.cancelled) {
+        return;
+      }
+
+      metrics.recordCompleted(job);
+
+      webhookDispatcher.dispatch('sms.completed', this.webhookContext(job), {
+        to: job.data.to,
+        messageId: job.returnvalue?.messageId,
+        provider: job.returnvalue?.provider,
+        status: job.returnvalue?.status,
+        metadata: job.data.metadata
+      });
     });
 
-    this.worker.on('failed', (job, err) => {
+    worker.on('failed', (job, err) => {
       console.error(`Job ${job.id} failed:`, err.message);
       this.updateJobMetrics(job, 'failed', err);
+
+      if (this.isFinalFailure(job, err)) {
+        this.recordFinalFailure(job, err).catch(error => {
+          console.error(`Failed to record final failure of job ${job.id}:`, error);
+        });
+      }
     });
 
-    this.worker.on('error', (err) => {
-      console.error('Worker error:', err);
+    worker.on('error', (err) => {
+      console.error(`Worker error in ${lane} lane:`, err);
     });
 
-    this.worker.on('stalled', (job) => {
+    worker.on('stalled', (job) => {
       console.warn(`Job ${job.id} stalled`);
     });
 
-    this.queue.on('waiting', (job) => {
+    worker.on('drained', () => {
+      this.resetLaneIfIdle(lane);
+    });
+
+    queue.on('waiting', (job) => {
       console.log(`Job ${job.id} is waiting`);
     });
 
-    this.queue.on('active', (job) => {
+    queue.on('active', (job) => {
       console.log(`Job ${job.id} is now active`);
     });
   }
 
-  async processSMSJob(job) {
-    const { to, message, identifier, priority, metadata } = job.data;
+  async recordFinalFailure(job, err) {
+    metrics.recordFailed(job, err);
+    await deliveryTracker.markFailed(job.id, err.message, err.type || null);
+    await deadLetterStore.add(job, err);
+
+    await webhookDispatcher.dispatch('sms.failed', this.webhookContext(job), {
+      to: job.data.to,
+      error: err.message,
+      errorType: err.type || null,
+      attemptsMade: job.attemptsMade,
+      metadata: job.data.metadata
+    });
+  }
+
+  async processSMSJob(job, token) {
+    const { to, message, identifier, tenantId, metadata } = job.data;
+    let reservation = null;
     
     try {
       console.log(`Processing SMS job ${job.id} to ${to}`);
+
+      if (job.data.awaitingPriority) {
+        await this.assignPriority(job, token);
+      }
+
+      await trafficLanes.markStarted(trafficLanes.laneForJobId(job.id), job.priority);
+
+      if (job.data.campaignId) {
+        const campaign = await campaignStore.getCampaign(job.data.campaignId);
+
+        if (campaign?.status === 'cancelled') {
+          await deliveryTracker.markCancelled(job.id);
+          return { cancelled: true, campaignId: campaign.id };
+        }
+
+        if (campaign?.status === 'paused') {
+          await this.holdForCampaign(job, token);
+        }
+      }
+
+      if (job.data.scheduledFor) {
+        await sendScheduler.unindex(tenantId, job.id);
+      }
+
+      // The recipient may have opted out while the job was waiting
+      if (!job.data.skipSuppressionCheck && await suppressionList.isSuppressed(to, tenantId)) {
+        throw new RecipientOptedOutError(to);
+      }
+
+      // A spent budget either holds the job until there is room or fails it
+      const { budget } = await tenantSettings.get(tenantId);
+      // The estimated cost is reserved until the real cost is recorded, so
+      // jobs sending at the same time cannot all fit under the same limit
+      const budgetCheck = await spendTracker.checkBudget(tenantId, budget, job.data.segments || 1, { reserveFor: job.id });
+      if (!budgetCheck.allowed) {
+        if (budgetCheck.onExceeded === 'pause') {
+          await this.holdForBudget(job, token, budgetCheck);
+        }
+        throw new BudgetExceededError(budgetCheck);
+      }
+      reservation = budgetCheck.reservation;
       
       // Add processing metadata
       const processingStart = Date.now();
       
       // Send SMS
-      const result = await smsService.sendSMS({ to, message, identifier });
+      const result = await smsService.sendSMS({
+        to,
+        message,
+        identifier,
+        tenantId,
+        country: job.data.recipient?.country || null,
+        from: job.data.from || null,
+        jobId: job.id,
+        campaignId: job.data.campaignId || null,
+        attempt: job.attemptsMade + 1
+      });
       
       const processingTime = Date.now() - processingStart;
+      metrics.recordSent(job);
+
+      await deliveryTracker.markSent(job.id, {
+        messageId: result.messageId,
+        provider: result.provider,
+        from: result.from,
+        providerStatus: result.status
+      });
+
+      await spendTracker.recordSpend({
+        tenantId,
+        campaignId: job.data.campaignId || null,
+        cost: result.cost,
+        segments: result.segments,
+        jobId: job.id,
+        identifier
+      }, budget);
+      await spendTracker.releaseReservation(reservation);
+      reservation = null;
+
+      await conversationStore.recordOutbound({
+        to,
+        message,
+        jobId: job.id,
+        messageId: result.messageId,
+        tenantId,
+        identifier
+      });
       
-      // Update job with success data
+      // Update job with success data; the return value becomes job.returnvalue
       await job.updateProgress(100);
-      await job.addResult({
+
+      return {
         ...result,
         processingTime,
         processedAt: new Date().toISOString(),
         metadata
-      });
-
-      return result;
+      };
 
     } catch (error) {
+      await spendTracker.releaseReservation(reservation);
+
+      if (error instanceof DelayedError) {
+        throw error;
+      }
+
+      // A throttled job waits for the limiter instead of failing
+      if (error instanceof RateLimitError) {
+        await this.throttleJob(job, token, error);
+      }
+
       // Update job with error data
       await job.updateProgress(0);
-      await job.addResult({
+      await job.log(JSON.stringify({
         error: error.message,
+        errorType: error.type || null,
         processedAt: new Date().toISOString(),
         metadata
+      }));
+
+      const retryable = this.shouldRetry(error);
+
+      // Keep every attempt's error; BullMQ only remembers the last one
+      await deadLetterStore.recordAttempt(job.id, {
+        attempt: job.attemptsMade + 1,
+        error: error.message,
+        errorType: error.type || null,
+        provider: error.provider || null,
+        retryable,
+        failedAt: new Date().toISOString()
       });
 
       // Determine if we should retry based on error type
-      if (this.shouldRetry(error)) {
+      if (retryable) {
         throw error; // Re-throw to trigger BullMQ retry mechanism
       } else {
         // Don't retry for certain errors (invalid numbers, etc.)
-        throw new Error(`Non-retryable error: ${error.message}`);
+        const unrecoverable = new UnrecoverableError(`Non-retryable error: ${error.message}`);
+        unrecoverable.type = error.type;
+        throw unrecoverable;
       }
     }
   }
 
+  // A delayed job that has come due takes the lane's next round and goes
+  // back in line with it
+  async assignPriority(job, token) {
+    const priority = await trafficLanes.nextPriority(trafficLanes.laneForJobId(job.id), job.data.tenantId);
+    const { awaitingPriority, ...data } = job.data;
+
+    await job.updateData(data);
+    await job.changePriority({ priority });
+    await job.moveToDelayed(Date.now(), token);
+    throw new DelayedError();
+  }
+
+  // A job moved back to delayed gives up its round
+  async deferPriority(job) {
+    await job.changePriority({ priority: DEFERRED_PRIORITY });
+  }
+
+  // Move a rate-limited job back to delayed until the limiter resets. The
+  // DelayedError tells BullMQ the job was rescheduled, so no attempt is used.
+  async throttleJob(job, token, error) {
+    const throttledUntil = Math.max(error.resetTime || 0, Date.now() + 1000);
+
+    await job.updateData({
+      ...job.data,
+      throttledUntil: new Date(throttledUntil).toISOString(),
+      throttleCount: (job.data.throttleCount || 0) + 1,
+      awaitingPriority: true
+    });
+    await this.deferPriority(job);
+    await job.moveToDelayed(throttledUntil, token);
+    await deliveryTracker.markThrottled(job.id, throttledUntil);
+
+    console.log(`Job ${job.id} throttled until ${new Date(throttledUntil).toISOString()}`);
+    throw new DelayedError();
+  }
+
+  // Park a paused campaign's job; resuming promotes it straight away, and
+  // it checks again on its own after the recheck interval
+  async holdForCampaign(job, token) {
+    await job.updateData({ ...job.data, heldByCampaign: true, awaitingPriority: true });
+    await this.deferPriority(job);
+    await job.moveToDelayed(Date.now() + config.campaigns.pauseRecheckMs, token);
+    throw new DelayedError();
+  }
+
+  // Park a job while its tenant's budget is spent. It checks again every
+  // recheck interval, so raising the budget releases it without waiting for
+  // the period to reset.
+  async holdForBudget(job, token, budgetCheck) {
+    const recheckAt = Math.min(Date.parse(budgetCheck.resetsAt), Date.now() + config.budgets.recheckMs);
+
+    await job.updateData({
+      ...job.data,
+      heldByBudget: {
+        period: budgetCheck.period,
+        resetsAt: budgetCheck.resetsAt
+      },
+      awaitingPriority: true
+    });
+    await this.deferPriority(job);
+    await job.moveToDelayed(recheckAt, token);
+
+    console.log(`Job ${job.id} held: ${budgetCheck.period} budget spent`);
+    throw new DelayedError();
+  }
+
   shouldRetry(error) {
-    const nonRetryableErrors = [
-      'Rate limit exceeded',
-      'Invalid phone number format',
-      'Message cannot be empty',
-      'Non-retryable error'
-    ];
+    // Typed errors carry their own decision; anything untyped is unexpected
+    // (Redis hiccup, bug) and gets the benefit of the doubt
+    if (typeof error.retryable === 'boolean') {
+      return error.retryable;
+    }
 
-    return !nonRetryableErrors.some(nonRetryableError => 
-      error.message.includes(nonRetryableError)
-    );
+    return !error.type || isRetryableErrorType(error.type);
+  }
+
+  webhookContext(job) {
+    return {
+      jobId: job.id,
+      identifier: job.data.identifier,
+      callbackUrl: job.data.callbackUrl
+    };
+  }
+
+  isFinalFailure(job, error) {
+    return error instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1);
+  }
+
+  // Render templates before enqueuing so the job carries the exact text it
+  // was queued with, even if the template changes while it waits
+  async prepareJobData(smsData, options = {}) {
+    // Normalize the recipient to E.164 using the request's or tenant's default country
+    const { defaultCountry, sendAt, ignoreQuietHours, ...data } = smsData;
+    const settings = await tenantSettings.get(data.tenantId);
+    const recipient = phoneNumbers.normalize(data.to, defaultCountry || settings.defaultCountry || undefined);
+
+    if (!data.skipSuppressionCheck && await suppressionList.isSuppressed(recipient.e164, data.tenantId)) {
+      throw new RecipientOptedOutError(recipient.e164);
+    }
+
+    // Reject an unapproved sender now rather than when the job runs
+    if (data.from) {
+      await senderIds.resolve({ from: data.from, tenantId: data.tenantId, country: recipient.country });
+    }
+
+    // Hold the job until sendAt, moved out of the tenant's quiet hours.
+    // Immediate transactional sends (OTPs, keyword auto-replies) go out at
+    // any hour; quiet hours only hold scheduled or non-transactional jobs.
+    const trafficClass = trafficLanes.resolve(data.trafficClass);
+    const quietHoursApply = trafficClass !== 'transactional' || Boolean(sendAt) || options.delay > 0;
+    const schedule = sendScheduler.resolve({
+      sendAt,
+      delay: options.delay || 0,
+      quietHours: quietHoursApply ? settings.quietHours : null,
+      ignoreQuietHours
+    });
+
+    let jobData = {
+      ...data,
+      trafficClass,
+      to: recipient.e164,
+      recipient: {
+        country: recipient.country,
+        type: recipient.type
+      },
+      scheduledFor: schedule.delay > 0 ? new Date(schedule.scheduledFor).toISOString() : null,
+      quietHoursAdjusted: schedule.quietHoursAdjusted,
+      // Delayed jobs take their round-robin priority when they come due
+      awaitingPriority: schedule.delay > 0
+    };
+
+    if (jobData.templateId) {
+      const { templateId, templateVersion, variables, ...rest } = jobData;
+      const rendered = await templateStore.render(rest.tenantId, templateId, variables || {}, templateVersion || null);
+
+      jobData = {
+        ...rest,
+        message: rendered.message,
+        template: {
+          id: rendered.templateId,
+          version: rendered.templateVersion
+        }
+      };
+    }
+
+    // Reject oversized messages up front and record the expected segment count
+    if (typeof jobData.message === 'string') {
+      const segmentation = smsSegmenter.validate(jobData.message.trim());
+      jobData = {
+        ...jobData,
+        encoding: segmentation.encoding,
+        segments: segmentation.segments
+      };
+    }
+
+    // Tenants whose budget rejects sends find out now rather than from a failed job
+    await spendTracker.assertWithinBudget(data.tenantId, settings.budget, jobData.segments || 1);
+
+    return jobData;
   }
 
   async addSMSJob(smsData, options = {}) {
-    const jobOptions = {
+    const jobData = await this.prepareJobData(smsData, options);
+    const priority = jobData.awaitingPriority
+      ? DEFERRED_PRIORITY
+      : await trafficLanes.nextPriority(jobData.trafficClass, jobData.tenantId);
+    const jobOptions = this.buildJobOptions(jobData, priority, options);
+
+    // Tracked before it is enqueued, so a fast worker's markSent always
+    // finds the queued record
+    await this.trackQueuedJob(jobOptions.jobId, jobData);
+
+    try {
+      const job = await this.queues[jobData.trafficClass].add('send-sms', jobData, jobOptions);
+      metrics.recordEnqueued(job);
+
+      console.log(`SMS job added to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      console.error('Failed to add SMS job to queue:', error);
+      await this.untrackQueuedJob(jobOptions.jobId, jobData, error);
+      throw error;
+    }
+  }
+
+  buildJobOptions(jobData, priority, options = {}) {
+    return {
       attempts: config.retry.maxAttempts,
       backoff: {
         type: config.retry.backoffType,
@@ -135,28 +480,129 @@ class QueueProcessor {
       },
       removeOnComplete: 100, // Keep last 100 completed jobs
       removeOnFail: 50, // Keep last 50 failed jobs
-      priority: options.priority || 0,
-      delay: options.delay || 0,
-      ...options
+      ...options,
+      jobId: trafficLanes.createJobId(jobData.trafficClass),
+      // Round-robin across tenants within the lane
+      priority,
+      delay: jobData.scheduledFor ? Math.max(0, Date.parse(jobData.scheduledFor) - Date.now()) : 0
     };
+  }
+
+  async trackQueuedJob(jobId, jobData) {
+    await deliveryTracker.markQueued(jobId, {
+      to: jobData.to,
+      identifier: jobData.identifier,
+      callbackUrl: jobData.callbackUrl,
+      campaignId: jobData.campaignId || null
+    });
+
+    if (jobData.campaignId) {
+      await campaignStore.addJob(jobData.campaignId, jobId);
+    }
+
+    if (jobData.scheduledFor) {
+      await sendScheduler.index(jobData.tenantId, jobId, Date.parse(jobData.scheduledFor));
+    }
+  }
 
+  // The job never reached the queue; fail its record so it does not stay queued
+  async untrackQueuedJob(jobId, jobData, error) {
     try {
-      const job = await this.queue.add('send-sms', smsData, jobOptions);
-      console.log(`SMS job added to queue: ${job.id}`);
-      return job;
-    } catch (error) {
-      console.error('Failed to add SMS job to queue:', error);
-      throw error;
+      await deliveryTracker.markFailed(jobId, `Failed to enqueue: ${error.message}`);
+
+      if (jobData.scheduledFor) {
+        await sendScheduler.unindex(jobData.tenantId, jobId);
+      }
+    } catch (untrackError) {
+      console.error(`Failed to clean up tracking for job ${jobId}:`, untrackError);
     }
   }
 
+  // Enqueue many messages with one Queue.addBulk call per lane. Returns one
+  // result per message, in order; invalid messages are reported, not thrown.
+  async addSMSJobsInBulk(messages, options = {}) {
+    const results = new Array(messages.length);
+    const byLaneAndTenant = new Map();
+
+    for (const [index, smsData] of messages.entries()) {
+      try {
+        const jobData = await this.prepareJobData(smsData, options);
+        const groupKey = `${jobData.trafficClass}:${jobData.tenantId || ''}`;
+
+        if (!byLaneAndTenant.has(groupKey)) {
+          byLaneAndTenant.set(groupKey, []);
+        }
+        byLaneAndTenant.get(groupKey).push({ index, jobData });
+      } catch (error) {
+        results[index] = { success: false, error: error.message };
+      }
+    }
+
+    for (const entries of byLaneAndTenant.values()) {
+      const { trafficClass, tenantId } = entries[0].jobData;
+      const immediate = entries.filter(({ jobData }) => !jobData.awaitingPriority).length;
+
+      // A group that cannot be added fails only its own messages; the
+      // groups before it are already queued and will be sent
+      let bulkJobs = [];
+      let jobs;
+      try {
+        const priorities = immediate > 0 ? await trafficLanes.nextPriorities(trafficClass, tenantId, immediate) : [];
+        bulkJobs = entries.map(({ jobData }) => ({
+          name: 'send-sms',
+          data: jobData,
+          opts: this.buildJobOptions(jobData, jobData.awaitingPriority ? DEFERRED_PRIORITY : priorities.shift(), options)
+        }));
+
+        await Promise.all(bulkJobs.map(({ data, opts }) => this.trackQueuedJob(opts.jobId, data)));
+        jobs = await this.queues[trafficClass].addBulk(bulkJobs);
+      } catch (error) {
+        console.error(`Failed to enqueue ${entries.length} ${trafficClass} jobs:`, error);
+        await Promise.all(bulkJobs.map(({ data, opts }) => this.untrackQueuedJob(opts.jobId, data, error)));
+        entries.forEach(({ index }) => {
+          results[index] = { success: false, error: `Failed to enqueue: ${error.message}` };
+        });
+        continue;
+      }
+
+      jobs.forEach(job => metrics.recordEnqueued(job));
+
+      jobs.forEach((job, position) => {
+        results[entries[position].index] = {
+          success: true,
+          jobId: job.id,
+          to: job.data.to,
+          segments: job.data.segments
+        };
+      });
+    }
+
+    return results;
+  }
+
   async addBulkSMSJobs(messages, options = {}) {
     const jobs = [];
     
-    for (const smsData of messages) {
+    for (const { idempotencyKey, ...smsData } of messages) {
       try {
-        const job = await this.addSMSJob(smsData, options);
-        jobs.push({ smsData, jobId: job.id, success: true });
+        const enqueue = async () => {
+          const job = await this.addSMSJob(smsData, options);
+          return {
+            jobId: job.id,
+            to: job.data.to,
+            recipient: job.data.recipient,
+            encoding: job.data.encoding,
+            segments: job.data.segments
+          };
+        };
+
+        // A repeated idempotency key returns the job created the first time
+        if (idempotencyKey) {
+          const { replayed, result } = await idempotencyStore.execute(smsData.tenantId, idempotencyKey, smsData, enqueue);
+          jobs.push({ smsData, ...result, idempotencyKey, replayed, success: true });
+        } else {
+          jobs.push({ smsData, ...(await enqueue()), success: true });
+        }
       } catch (error) {
         jobs.push({ smsData, error: error.message, success: false });
       }
@@ -167,13 +613,18 @@ class QueueProcessor {
 
   async getJobStatus(jobId) {
     try {
-      const job = await this.queue.getJob(jobId);
+      const job = await this.getJob(jobId);
       if (!job) {
         return null;
       }
 
-      const state = await job.getState();
+      let state = await job.getState();
       const progress = job.progress;
+
+      // Delayed by the rate limiter rather than by a schedule or backoff
+      if (state === 'delayed' && job.data.throttledUntil && Date.parse(job.data.throttledUntil) > Date.now()) {
+        state = 'throttled';
+      }
       const result = job.returnvalue;
       const failedReason = job.failedReason;
       const processedOn = job.processedOn;
@@ -198,23 +649,235 @@ class QueueProcessor {
     }
   }
 
+  async listScheduledJobs(tenantId, { limit = 50, offset = 0 } = {}) {
+    const jobIds = await sendScheduler.listJobIds(tenantId, { limit, offset });
+    const jobs = await Promise.all(jobIds.map(jobId => this.getJobStatus(jobId)));
+    return jobs.filter(Boolean);
+  }
+
+  // Remove a job that has not started yet
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    if (!['delayed', 'waiting', 'prioritized'].includes(state)) {
+      return { cancelled: false, state };
+    }
+
+    await job.remove();
+    await sendScheduler.unindex(job.data.tenantId, job.id);
+    await deliveryTracker.markCancelled(job.id);
+    console.log(`Job ${job.id} cancelled while ${state}`);
+
+    return { cancelled: true, state: 'cancelled' };
+  }
+
+  // Retry a failed job. Jobs BullMQ has already dropped from its failed set
+  // are re-enqueued from the dead-letter store under a new job ID.
+  async retryJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (job) {
+      const state = await job.getState();
+      if (state !== 'failed') {
+        return { retried: false, state };
+      }
+
+      if (await this.isCampaignCancelled(job.data.campaignId)) {
+        return { retried: false, state, campaignCancelled: true };
+      }
+
+      await job.retry('failed', { resetAttemptsMade: true });
+      await deadLetterStore.remove(job.id);
+      await deliveryTracker.markRequeued(job.id);
+      console.log(`Job ${job.id} retried`);
+
+      return { retried: true, jobId: job.id, state: 'waiting' };
+    }
+
+    const entry = await deadLetterStore.get(jobId);
+    if (!entry) {
+      return null;
+    }
+
+    if (await this.isCampaignCancelled(entry.data.campaignId)) {
+      return { retried: false, state: 'failed', campaignCancelled: true };
+    }
+
+    const requeued = await this.addSMSJob(this.requestFields(entry.data));
+    await deadLetterStore.remove(jobId);
+
+    // The new job replaces the failed one in its campaign's counts
+    if (entry.data.campaignId) {
+      await campaignStore.recordTransition(entry.data.campaignId, 'failed', null);
+    }
+    console.log(`Dead-lettered job ${jobId} re-enqueued as ${requeued.id}`);
+
+    return { retried: true, jobId: requeued.id, requeuedFrom: jobId, state: 'waiting' };
+  }
+
+  async isCampaignCancelled(campaignId) {
+    if (!campaignId) {
+      return false;
+    }
+
+    const campaign = await campaignStore.getCampaign(campaignId);
+    return campaign?.status === 'cancelled';
+  }
+
+  // The fields a caller sends, taken back out of a prepared job so a new
+  // job can be queued from them. Everything prepareJobData or the worker
+  // derived (recipient, encoding, schedule, throttle and hold state) is
+  // left behind to be worked out afresh. A template's variables are not
+  // kept on the job, so a templated message is queued as its rendered text.
+  requestFields(data) {
+    const { to, message, identifier, tenantId, trafficClass, from, metadata, callbackUrl, campaignId, skipSuppressionCheck } = data;
+    return { to, message, identifier, tenantId, trafficClass, from, metadata, callbackUrl, campaignId, skipSuppressionCheck };
+  }
+
+  // Retry every dead-lettered job whose failure reason matches
+  async retryDeadLetters(tenantId, { reason = null, limit = 100 } = {}) {
+    const { entries } = await deadLetterStore.list(tenantId, { limit, reason });
+    const results = [];
+
+    for (const entry of entries) {
+      try {
+        const result = await this.retryJob(entry.jobId);
+        results.push({ jobId: entry.jobId, ...result, success: Boolean(result?.retried) });
+      } catch (error) {
+        results.push({ jobId: entry.jobId, retried: false, error: error.message, success: false });
+      }
+    }
+
+    return results;
+  }
+
+  async pauseCampaign(campaignId) {
+    return await campaignStore.setStatus(campaignId, 'paused');
+  }
+
+  // Reactivate a campaign and release the jobs it was holding
+  async resumeCampaign(campaignId) {
+    const campaign = await campaignStore.setStatus(campaignId, 'active');
+    if (!campaign) {
+      return null;
+    }
+
+    let released = 0;
+    await this.forEachCampaignJob(campaignId, async (job) => {
+      if (job.data.heldByCampaign && await job.getState() === 'delayed') {
+        const { heldByCampaign, ...data } = job.data;
+        await job.updateData(data);
+        await job.promote();
+        released++;
+      }
+    });
+
+    await campaignStore.checkCompletion(campaignId);
+    return { ...campaign, released };
+  }
+
+  // Cancel every job of a campaign that has not been sent yet
+  async cancelCampaign(campaignId) {
+    const campaign = await campaignStore.setStatus(campaignId, 'cancelled');
+    if (!campaign) {
+      return null;
+    }
+
+    let cancelled = 0;
+    await this.forEachCampaignJob(campaignId, async (job) => {
+      const result = await this.cancelJob(job.id);
+      if (result?.cancelled) {
+        cancelled++;
+      }
+    });
+
+    return { ...campaign, cancelled };
+  }
+
+  async forEachCampaignJob(campaignId, fn, batchSize = 500) {
+    for (let start = 0; ; start += batchSize) {
+      const jobIds = await campaignStore.listJobIds(campaignId, start, start + batchSize - 1);
+      if (jobIds.length === 0) {
+        break;
+      }
+
+      for (const jobId of jobIds) {
+        const job = await this.getJob(jobId);
+        if (job) {
+          await fn(job);
+        }
+      }
+    }
+  }
+
+  async rescheduleJob(jobId, { sendAt, ignoreQuietHours = false }) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+    if (state !== 'delayed') {
+      return { rescheduled: false, state };
+    }
+
+    // Only jobs still waiting for their send time; throttled, retrying and
+    // campaign- or budget-held jobs are delayed too
+    if (!job.data.scheduledFor || !await sendScheduler.isScheduled(job.data.tenantId, job.id)) {
+      return { rescheduled: false, state: 'delayed', scheduled: false };
+    }
+
+    const settings = await tenantSettings.get(job.data.tenantId);
+    const schedule = sendScheduler.resolve({ sendAt, quietHours: settings.quietHours, ignoreQuietHours });
+    const scheduledFor = new Date(schedule.scheduledFor).toISOString();
+
+    await job.updateData({
+      ...job.data,
+      scheduledFor,
+      quietHoursAdjusted: schedule.quietHoursAdjusted
+    });
+    await job.changeDelay(schedule.delay);
+    await sendScheduler.index(job.data.tenantId, job.id, schedule.scheduledFor);
+
+    return {
+      rescheduled: true,
+      state,
+      scheduledFor,
+      quietHoursAdjusted: schedule.quietHoursAdjusted
+    };
+  }
+
   async getQueueStats() {
     try {
-      const [waiting, active, completed, failed, delayed] = await Promise.all([
-        this.queue.getWaiting(),
-        this.queue.getActive(),
-        this.queue.getCompleted(),
-        this.queue.getFailed(),
-        this.queue.getDelayed()
-      ]);
+      const lanes = {};
+
+      for (const lane of TRAFFIC_CLASSES) {
+        const counts = await this.queues[lane].getJobCounts('waiting', 'prioritized', 'active', 'completed', 'failed', 'delayed');
+
+        // Fair scheduling gives every job a priority, so waiting jobs are in "prioritized"
+        lanes[lane] = {
+          waiting: counts.waiting + counts.prioritized,
+          active: counts.active,
+          completed: counts.completed,
+          failed: counts.failed,
+          delayed: counts.delayed,
+          concurrency: trafficLanes.concurrency(lane)
+        };
+      }
+
+      const totals = ['waiting', 'active', 'completed', 'failed', 'delayed'].reduce((sum, state) => ({
+        ...sum,
+        [state]: Object.values(lanes).reduce((count, lane) => count + lane[state], 0)
+      }), {});
 
       return {
-        waiting: waiting.length,
-        active: active.length,
-        completed: completed.length,
-        failed: failed.length,
-        delayed: delayed.length,
-        total: waiting.length + active.length + completed.length + failed.length + delayed.length
+        ...totals,
+        total: Object.values(totals).reduce((count, value) => count + value, 0),
+        lanes
       };
     } catch (error) {
       console.error('Failed to get queue stats:', error);
@@ -222,6 +885,17 @@ class QueueProcessor {
     }
   }
 
+  async resetLaneIfIdle(lane) {
+    try {
+      const counts = await this.queues[lane].getJobCounts('waiting', 'prioritized', 'delayed');
+      if (counts.waiting + counts.prioritized + counts.delayed === 0) {
+        await trafficLanes.reset(lane);
+      }
+    } catch (error) {
+      console.error(`Failed to reset ${lane} lane rounds:`, error);
+    }
+  }
+
   async updateJobMetrics(job, status, error = null) {
     const redis = redisClient.getClient();
     
@@ -232,7 +906,8 @@ class QueueProcessor {
         timestamp: new Date().toISOString(),
         processingTime: job.finishedOn ? job.finishedOn - job.processedOn : null,
         attempts: job.attemptsMade,
-        error: error ? error.message : null
+        error: error ? error.message : null,
+        errorType: error?.type || null
       };
 
       // Store metrics
@@ -245,6 +920,12 @@ class QueueProcessor {
       await redis.incr(counterKey);
       await redis.expire(counterKey, 86400 * 7); // Keep for 7 days
 
+      if (error) {
+        const typeKey = `job_metrics:${today}:failed_by_type`;
+        await redis.hincrby(typeKey, error.type || 'unknown', 1);
+        await redis.expire(typeKey, 86400 * 7);
+      }
+
     } catch (metricsError) {
       console.error('Failed to update job metrics:', metricsError);
     }
@@ -264,7 +945,7 @@ class QueueProcessor {
 
   async pause() {
     try {
-      await this.worker.pause();
+      await Promise.all(Object.values(this.workers).map(worker => worker.pause()));
       this.processing = false;
       console.log('Queue processor paused');
     } catch (error) {
@@ -275,7 +956,7 @@ class QueueProcessor {
 
   async resume() {
     try {
-      await this.worker.resume();
+      Object.values(this.workers).forEach(worker => worker.resume());
       this.processing = true;
       console.log('Queue processor resumed');
     } catch (error) {
@@ -286,12 +967,8 @@ class QueueProcessor {
 
   async close() {
     try {
-      if (this.worker) {
-        await this.worker.close();
-      }
-      if (this.queue) {
-        await this.queue.close();
-      }
+      await Promise.all(Object.values(this.workers).map(worker => worker.close()));
+      await Promise.all(Object.values(this.queues).map(queue => queue.close()));
       console.log('Queue processor closed');
     } catch (error) {
       console.error('Failed to close queue processor:', error);
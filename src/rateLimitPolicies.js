@@ -0,0 +1,239 @@
+import { redisClient } from './redis.js';
+import { ValidationError } from './errors.js';
+import { rateLimiter, RATE_LIMIT_ALGORITHMS } from './rateLimiter.js';
+import { phoneNumbers } from './phoneNumbers.js';
+
+const POLICY_ID_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+// What each scope's target is matched against. '*' matches anything.
+//   tenant:    tenant ID
+//   recipient: destination number in E.164, counted per handset
+//   country:   ISO country code of the destination
+//   provider:  provider name, counted across every tenant
+export const RATE_LIMIT_SCOPES = ['tenant', 'recipient', 'country', 'provider'];
+
+// Layered rate limit rules. A send must pass the per-identifier default
+// limit plus every matching policy; the first one to deny is the binding rule.
+class RateLimitPolicies {
+  policiesKey() {
+    return 'rate_limit_policies';
+  }
+
+  validate(policyId, { scope, target = '*', algorithm, limit, windowMs, blockDurationMs = 0 }) {
+    if (!POLICY_ID_PATTERN.test(policyId || '')) {
+      throw new ValidationError('policyId must be 1-50 lowercase letters, digits, dashes or underscores');
+    }
+
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      throw new ValidationError(`scope must be one of: ${RATE_LIMIT_SCOPES.join(', ')}`);
+    }
+
+    if (typeof target !== 'string' || target.length === 0) {
+      throw new ValidationError('target must be a non-empty string');
+    }
+
+    if (algorithm !== undefined && !RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+      throw new ValidationError(`algorithm must be one of: ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+    }
+
+    for (const [field, value, min] of [['limit', limit, 1], ['windowMs', windowMs, 1000], ['blockDurationMs', blockDurationMs, 0]]) {
+      if (!Number.isInteger(value) || value < min) {
+        throw new ValidationError(`${field} must be an integer of at least ${min}`);
+      }
+    }
+  }
+
+  // Targets in the form sends are matched by: country codes upper-cased,
+  // recipients in E.164
+  normalizeTarget(scope, target = '*') {
+    if (target === '*') {
+      return target;
+    }
+
+    if (scope === 'country') {
+      return target.toUpperCase();
+    }
+
+    if (scope === 'recipient') {
+      return phoneNumbers.normalize(target, undefined, { allowFixedLine: true }).e164;
+    }
+
+    return target;
+  }
+
+  async setPolicy(policyId, fields) {
+    this.validate(policyId, fields);
+
+    const redis = redisClient.getClient();
+    const policy = {
+      id: policyId,
+      scope: fields.scope,
+      target: this.normalizeTarget(fields.scope, fields.target),
+      algorithm: fields.algorithm || rateLimiter.algorithm,
+      limit: fields.limit,
+      windowMs: fields.windowMs,
+      blockDurationMs: fields.blockDurationMs || 0,
+      updatedAt: new Date().toISOString()
+    };
+
+    await redis.hset(this.policiesKey(), policyId, JSON.stringify(policy));
+    return policy;
+  }
+
+  async getPolicy(policyId) {
+    const redis = redisClient.getClient();
+    const policy = await redis.hget(this.policiesKey(), policyId);
+    return policy ? JSON.parse(policy) : null;
+  }
+
+  async listPolicies() {
+    const redis = redisClient.getClient();
+    const policies = await redis.hvals(this.policiesKey());
+    return policies.map(policy => JSON.parse(policy)).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async deletePolicy(policyId) {
+    const redis = redisClient.getClient();
+    const removed = await redis.hdel(this.policiesKey(), policyId);
+    return removed > 0;
+  }
+
+  // Policies for one scope that apply to a subject. Rules targeting the
+  // subject directly replace the '*' rules for that scope.
+  matching(policies, scope, subject) {
+    if (!subject) {
+      return [];
+    }
+
+    const inScope = policies.filter(policy => policy.scope === scope);
+    const exact = inScope.filter(policy => policy.target === subject);
+    return exact.length > 0 ? exact : inScope.filter(policy => policy.target === '*');
+  }
+
+  // Every rule that applies to a send, paired with the counter it uses
+  async resolveRules({ identifier, tenantId = null, to = null, country = null }) {
+    const policies = await this.listPolicies();
+    const rules = [];
+
+    if (identifier) {
+      rules.push({ rule: { id: 'default', scope: 'identifier', target: identifier, ...rateLimiter.defaultRule() }, key: identifier });
+    }
+
+    for (const [scope, subject] of [['tenant', tenantId], ['recipient', to], ['country', country]]) {
+      for (const policy of this.matching(policies, scope, subject)) {
+        rules.push({ rule: policy, key: `policy:${policy.id}:${subject}` });
+      }
+    }
+
+    return rules;
+  }
+
+  // Check every layer first, then consume from each, so a send denied by
+  // one rule does not use up another rule's quota. If a rule fills up
+  // between the check and its increment, the units already taken from the
+  // rules before it are refunded.
+  async check(subjects) {
+    const rules = await this.resolveRules(subjects);
+    return await this.evaluate(rules);
+  }
+
+  // Provider caps are checked per candidate provider during failover
+  async checkProvider(providerName) {
+    const policies = await this.listPolicies();
+    const rules = this.matching(policies, 'provider', providerName)
+      .map(policy => ({ rule: policy, key: `policy:${policy.id}:${providerName}` }));
+
+    return await this.evaluate(rules);
+  }
+
+  async evaluate(rules) {
+    const statuses = await Promise.all(rules.map(({ rule, key }) => rateLimiter.getStatus(key, rule)));
+    const denied = statuses.findIndex(status => !status.allowed);
+
+    if (denied !== -1) {
+      // Consuming the denied rule records the attempt and applies its block
+      const { result, receipt } = await rateLimiter.consume(rules[denied].key, rules[denied].rule);
+      if (!result.allowed) {
+        return this.summarize(rules, statuses, denied, result);
+      }
+
+      // The window freed up since the check: give the unit back and go
+      // through every rule below rather than send on this one alone
+      if (receipt) {
+        await rateLimiter.refund(receipt);
+      }
+    }
+
+    const results = [];
+    const receipts = [];
+    for (const { rule, key } of rules) {
+      const { result, receipt } = await rateLimiter.consume(key, rule);
+      results.push(result);
+
+      // Another worker got there between the check and the increment
+      if (!result.allowed) {
+        await this.refund(receipts);
+        return this.summarize(rules, results, results.length - 1, result);
+      }
+
+      if (receipt) {
+        receipts.push(receipt);
+      }
+    }
+
+    const binding = this.lowestRemaining(results);
+
+    // The receipts let a caller give the units back if the send never happens
+    return binding === -1
+      ? { allowed: true, remaining: null, resetTime: null, blocked: false, bindingRule: null, rules: [], receipts }
+      : { ...this.summarize(rules, results, binding, results[binding]), receipts };
+  }
+
+  async refund(receipts = []) {
+    await Promise.all(receipts.map(receipt => rateLimiter.refund(receipt)));
+  }
+
+  // With nothing denied, the rule closest to its limit is the binding one
+  lowestRemaining(statuses) {
+    return statuses.reduce((lowest, status, index) => (
+      lowest === -1 || status.remaining < statuses[lowest].remaining ? index : lowest
+    ), -1);
+  }
+
+  summarize(rules, statuses, bindingIndex, result) {
+    return {
+      ...result,
+      bindingRule: this.describe(rules[bindingIndex].rule),
+      rules: statuses.map((status, index) => ({ ...this.describe(rules[index].rule), ...status }))
+    };
+  }
+
+  describe(rule) {
+    return {
+      id: rule.id,
+      scope: rule.scope,
+      target: rule.target
+    };
+  }
+
+  // Read-only view of the rules an identifier (and optionally a recipient) is held to
+  async getStatus(subjects) {
+    const rules = await this.resolveRules(subjects);
+    const statuses = await Promise.all(rules.map(({ rule, key }) => rateLimiter.getStatus(key, rule)));
+    const denied = statuses.findIndex(status => !status.allowed);
+    const binding = denied !== -1 ? denied : this.lowestRemaining(statuses);
+
+    if (binding === -1) {
+      return { allowed: true, remaining: null, resetTime: null, blocked: false, failMode: rateLimiter.failMode, bindingRule: null, rules: [] };
+    }
+
+    return {
+      ...statuses[binding],
+      failMode: rateLimiter.failMode,
+      bindingRule: this.describe(rules[binding].rule),
+      rules: statuses.map((status, index) => ({ ...this.describe(rules[index].rule), ...status }))
+    };
+  }
+}
+
+export const rateLimitPolicies = new RateLimitPolicies();
@@ -1,91 +1,304 @@
 import { redisClient } from './redis.js';
 import { config } from './config.js';
 
+// Each algorithm is a single Lua script, so the check and the increment
+// happen atomically even with many workers sharing one limit. Every script
+// takes the block key last and returns { allowed, remaining, resetTime, blocked }.
+// ARGV: now, windowMs, limit, blockDurationMs, consume (0 only reads)
+const SCRIPTS = {
+  // Exact: one sorted-set entry per request in the window
+  sliding_log: {
+    numberOfKeys: 2,
+    lua: `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      local blockMs = tonumber(ARGV[4])
+      local consume = ARGV[5] == '1'
+
+      local blockTtl = redis.call('PTTL', KEYS[2])
+      if blockTtl > 0 then
+        return {0, 0, now + blockTtl, 1}
+      end
+
+      redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+      local count = redis.call('ZCARD', KEYS[1])
+      local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+      local resetTime = now + window
+      if oldest[2] then
+        resetTime = tonumber(oldest[2]) + window
+      end
+
+      if count >= limit then
+        if consume and blockMs > 0 then
+          redis.call('SET', KEYS[2], '1', 'PX', blockMs)
+          return {0, 0, math.max(resetTime, now + blockMs), 1}
+        end
+        return {0, 0, resetTime, 0}
+      end
+
+      if not consume then
+        return {1, limit - count, resetTime, 0}
+      end
+
+      redis.call('ZADD', KEYS[1], now, ARGV[1] .. '-' .. ARGV[6])
+      redis.call('PEXPIRE', KEYS[1], window)
+      return {1, limit - count - 1, resetTime, 0}
+    `
+  },
+
+  // Approximate: the previous window's count is weighted by how much of it
+  // still overlaps the sliding window. Two counters per identifier.
+  sliding_window: {
+    numberOfKeys: 2,
+    lua: `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      local blockMs = tonumber(ARGV[4])
+      local consume = ARGV[5] == '1'
+
+      local blockTtl = redis.call('PTTL', KEYS[2])
+      if blockTtl > 0 then
+        return {0, 0, now + blockTtl, 1}
+      end
+
+      local current = math.floor(now / window)
+      local elapsed = (now % window) / window
+      local currentCount = tonumber(redis.call('HGET', KEYS[1], tostring(current)) or '0')
+      local previousCount = tonumber(redis.call('HGET', KEYS[1], tostring(current - 1)) or '0')
+      local estimated = previousCount * (1 - elapsed) + currentCount
+      local resetTime = now - (now % window) + window
+
+      if estimated + 1 > limit then
+        if consume and blockMs > 0 then
+          redis.call('SET', KEYS[2], '1', 'PX', blockMs)
+          return {0, 0, math.max(resetTime, now + blockMs), 1}
+        end
+        return {0, 0, resetTime, 0}
+      end
+
+      if not consume then
+        return {1, math.floor(limit - estimated), resetTime, 0}
+      end
+
+      -- Drop counters for windows that no longer overlap
+      for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+        if tonumber(field) < current - 1 then
+          redis.call('HDEL', KEYS[1], field)
+        end
+      end
+
+      redis.call('HINCRBY', KEYS[1], tostring(current), 1)
+      redis.call('PEXPIRE', KEYS[1], window * 2)
+      return {1, math.floor(limit - estimated - 1), resetTime, 0}
+    `
+  },
+
+  // Bursts up to the limit, refilling at limit tokens per window
+  token_bucket: {
+    numberOfKeys: 2,
+    lua: `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      local blockMs = tonumber(ARGV[4])
+      local consume = ARGV[5] == '1'
+
+      local blockTtl = redis.call('PTTL', KEYS[2])
+      if blockTtl > 0 then
+        return {0, 0, now + blockTtl, 1}
+      end
+
+      local rate = limit / window
+      local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+      local tokens = tonumber(bucket[1]) or limit
+      local updatedAt = tonumber(bucket[2]) or now
+      tokens = math.min(limit, tokens + math.max(0, now - updatedAt) * rate)
+
+      if tokens < 1 then
+        local resetTime = now + math.ceil((1 - tokens) / rate)
+        if consume and blockMs > 0 then
+          redis.call('SET', KEYS[2], '1', 'PX', blockMs)
+          return {0, 0, math.max(resetTime, now + blockMs), 1}
+        end
+        return {0, 0, resetTime, 0}
+      end
+
+      if consume then
+        tokens = tokens - 1
+        redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+        redis.call('PEXPIRE', KEYS[1], window * 2)
+      end
+
+      return {1, math.floor(tokens), now + math.ceil((limit - tokens) / rate), 0}
+    `
+  }
+};
+
+// Give back one unit taken by a consuming run, identified by the run's
+// timestamp and nonce. ARGV: sliding_log member, sliding_window window, limit
+const REFUND_SCRIPTS = {
+  sliding_log: `
+    redis.call('ZREM', KEYS[1], ARGV[1])
+    return 1
+  `,
+  sliding_window: `
+    if tonumber(redis.call('HGET', KEYS[1], ARGV[2]) or '0') > 0 then
+      redis.call('HINCRBY', KEYS[1], ARGV[2], -1)
+    end
+    return 1
+  `,
+  token_bucket: `
+    local tokens = tonumber(redis.call('HGET', KEYS[1], 'tokens'))
+    if tokens then
+      redis.call('HSET', KEYS[1], 'tokens', tostring(math.min(tonumber(ARGV[3]), tokens + 1)))
+    end
+    return 1
+  `
+};
+
+export const RATE_LIMIT_ALGORITHMS = Object.keys(SCRIPTS);
+
+export const RATE_LIMIT_FAIL_MODES = ['open', 'closed'];
+
 class RateLimiter {
   constructor() {
     this.windowMs = config.rateLimit.windowMs;
     this.maxRequests = config.rateLimit.maxRequests;
     this.blockDurationMs = config.rateLimit.blockDurationMs;
+    this.algorithm = config.rateLimit.algorithm;
+    this.failMode = config.rateLimit.failMode;
   }
 
-  async isAllowed(identifier) {
+  // The rule applied when a caller does not pass one
+  defaultRule() {
+    return {
+      algorithm: this.algorithm,
+      limit: this.maxRequests,
+      windowMs: this.windowMs,
+      blockDurationMs: this.blockDurationMs
+    };
+  }
+
+  keys(identifier, algorithm) {
+    const stateKeys = {
+      sliding_log: `rate_limit:sms:${identifier}`,
+      sliding_window: `rate_limit:window:${identifier}`,
+      token_bucket: `rate_limit:bucket:${identifier}`
+    };
+
+    return [stateKeys[algorithm], `rate_limit:block:${identifier}`];
+  }
+
+  // Scripts are registered on first use so ioredis can call them by SHA
+  defineScripts(redis) {
+    for (const [algorithm, script] of Object.entries(SCRIPTS)) {
+      const command = this.commandName(algorithm);
+      if (typeof redis[command] !== 'function') {
+        redis.defineCommand(command, script);
+      }
+    }
+  }
+
+  commandName(algorithm) {
+    return `rateLimit_${algorithm}`;
+  }
+
+  async run(identifier, rule, consume, { now = Date.now(), nonce = this.createNonce() } = {}) {
     const redis = redisClient.getClient();
+    const { algorithm, limit, windowMs, blockDurationMs = 0 } = { ...this.defaultRule(), ...rule };
+
+    if (!SCRIPTS[algorithm]) {
+      throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+    }
+
+    this.defineScripts(redis);
+
+    const [allowed, remaining, resetTime, blocked] = await redis[this.commandName(algorithm)](
+      ...this.keys(identifier, algorithm),
+      now,
+      windowMs,
+      limit,
+      blockDurationMs,
+      consume ? 1 : 0,
+      nonce
+    );
+
+    const result = {
+      allowed: allowed === 1,
+      remaining: Math.max(0, remaining),
+      resetTime,
+      blocked: blocked === 1,
+      algorithm,
+      limit,
+      windowMs
+    };
+
+    if (result.blocked) {
+      result.blockDuration = resetTime - now;
+    }
+
+    return result;
+  }
+
+  // What to report when Redis is unavailable, depending on the fail mode
+  failureResult(rule) {
+    const { algorithm, limit, windowMs } = { ...this.defaultRule(), ...rule };
+    const allowed = this.failMode === 'open';
+
+    return {
+      allowed,
+      remaining: allowed ? limit : 0,
+      resetTime: Date.now() + windowMs,
+      blocked: false,
+      algorithm,
+      limit,
+      windowMs,
+      degraded: true
+    };
+  }
+
+  createNonce() {
+    return Math.random().toString(36).slice(2);
+  }
+
+  async isAllowed(identifier, rule = {}) {
+    return (await this.consume(identifier, rule)).result;
+  }
+
+  // Like isAllowed, plus a receipt that refund() takes to give the unit back
+  async consume(identifier, rule = {}) {
     const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    const key = `rate_limit:sms:${identifier}`;
-    const blockKey = `rate_limit:block:${identifier}`;
-    
-    try {
-      // Check if identifier is currently blocked
-      const blockExpiry = await redis.ttl(blockKey);
-      if (blockExpiry > 0) {
-        return {
-          allowed: false,
-          remaining: 0,
-          resetTime: now + (blockExpiry * 1000),
-          blocked: true,
-          blockDuration: blockExpiry * 1000
-        };
-      }
+    const nonce = this.createNonce();
 
-      // Remove expired entries
-      await redis.zremrangebyscore(key, 0, windowStart);
-
-      // Count current requests in window
-      const currentRequests = await redis.zcard(key);
-
-      if (currentRequests >= this.maxRequests) {
-        // Block the identifier for the specified duration
-        await redis.setex(blockKey, Math.ceil(this.blockDurationMs / 1000), '1');
-        
-        // Get the oldest request to determine reset time
-        const oldestRequest = await redis.zrange(key, 0, 0, 'WITHSCORES');
-        const resetTime = oldestRequest.length > 0 ? parseInt(oldestRequest[1]) + this.windowMs : now + this.windowMs;
-
-        return {
-          allowed: false,
-          remaining: 0,
-          resetTime,
-          blocked: true,
-          blockDuration: this.blockDurationMs
-        };
-      }
+    try {
+      const result = await this.run(identifier, rule, true, { now, nonce });
+      return { result, receipt: result.allowed ? { identifier, rule, now, nonce } : null };
+    } catch (error) {
+      console.error(`Rate limiter error (failing ${this.failMode}):`, error);
+      return { result: this.failureResult(rule), receipt: null };
+    }
+  }
 
-      // Add current request
-      await redis.zadd(key, now, `${now}-${Math.random()}`);
-      
-      // Set expiry for the key
-      await redis.expire(key, Math.ceil(this.windowMs / 1000));
-
-      const remaining = this.maxRequests - (currentRequests + 1);
-      
-      return {
-        allowed: true,
-        remaining,
-        resetTime: now + this.windowMs,
-        blocked: false
-      };
+  async refund({ identifier, rule, now, nonce }) {
+    const redis = redisClient.getClient();
+    const { algorithm, limit, windowMs } = { ...this.defaultRule(), ...rule };
+    const [stateKey] = this.keys(identifier, algorithm);
 
+    try {
+      await redis.eval(REFUND_SCRIPTS[algorithm], 1, stateKey, `${now}-${nonce}`, Math.floor(now / windowMs), limit);
     } catch (error) {
-      console.error('Rate limiter error:', error);
-      // Fail open - allow the request if rate limiting fails
-      return {
-        allowed: true,
-        remaining: this.maxRequests - 1,
-        resetTime: now + this.windowMs,
-        blocked: false
-      };
+      console.error('Failed to refund rate limit:', error);
     }
   }
 
   async reset(identifier) {
     const redis = redisClient.getClient();
-    const key = `rate_limit:sms:${identifier}`;
-    const blockKey = `rate_limit:block:${identifier}`;
+    const keys = new Set(RATE_LIMIT_ALGORITHMS.flatMap(algorithm => this.keys(identifier, algorithm)));
     
     try {
-      await redis.del(key, blockKey);
+      await redis.del(...keys);
       return true;
     } catch (error) {
       console.error('Error resetting rate limit:', error);
@@ -93,47 +306,13 @@ class RateLimiter {
     }
   }
 
-  async getStatus(identifier) {
-    const redis = redisClient.getClient();
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    const key = `rate_limit:sms:${identifier}`;
-    const blockKey = `rate_limit:block:${identifier}`;
-    
+  async getStatus(identifier, rule = {}) {
     try {
-      // Check if blocked
-      const blockExpiry = await redis.ttl(blockKey);
-      if (blockExpiry > 0) {
-        return {
-          allowed: false,
-          remaining: 0,
-          resetTime: now + (blockExpiry * 1000),
-          blocked: true,
-          blockDuration: blockExpiry * 1000
-        };
-      }
-
-      // Count current requests
-      await redis.zremrangebyscore(key, 0, windowStart);
-      const currentRequests = await redis.zcard(key);
-      const remaining = Math.max(0, this.maxRequests - currentRequests);
-
-      return {
-        allowed: remaining > 0,
-        remaining,
-        resetTime: now + this.windowMs,
-        blocked: false
-      };
-
+      const status = await this.run(identifier, rule, false);
+      return { ...status, failMode: this.failMode };
     } catch (error) {
       console.error('Error getting rate limit status:', error);
-      return {
-        allowed: true,
-        remaining: this.maxRequests,
-        resetTime: now + this.windowMs,
-        blocked: false
-      };
+      return { ...this.failureResult(rule), failMode: this.failMode };
     }
   }
 }
@@ -0,0 +1,111 @@
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+// GSM 03.38 default alphabet (one septet each). ESC (0x1B) is left out since
+// it only introduces extension characters.
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Extension table characters cost two septets (ESC + char)
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+// Works out how a message will be encoded and split into SMS segments.
+// Multipart messages lose 7 septets (GSM-7) or 3 characters (UCS-2) per
+// segment to the concatenation header, and a character is never split
+// across two segments.
+class SMSSegmenter {
+  constructor() {
+    this.maxSegments = config.sms.maxSegments;
+  }
+
+  detectEncoding(message) {
+    for (const char of message) {
+      if (!GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)) {
+        return 'UCS-2';
+      }
+    }
+
+    return 'GSM-7';
+  }
+
+  // Size of a character in encoding units (septets or UTF-16 code units)
+  unitLength(char, encoding) {
+    if (encoding === 'GSM-7') {
+      return GSM_EXTENDED.has(char) ? 2 : 1;
+    }
+
+    return char.length;
+  }
+
+  analyze(message) {
+    const encoding = this.detectEncoding(message);
+    const limits = LIMITS[encoding];
+    const chars = [...message];
+    const units = chars.reduce((total, char) => total + this.unitLength(char, encoding), 0);
+
+    if (units <= limits.single) {
+      return {
+        encoding,
+        characters: chars.length,
+        units,
+        segments: units === 0 ? 0 : 1,
+        unitsPerSegment: limits.single,
+        remainingInSegment: limits.single - units,
+        nonGsmCharacters: this.nonGsmCharacters(chars, encoding)
+      };
+    }
+
+    let segments = 1;
+    let used = 0;
+    for (const char of chars) {
+      const length = this.unitLength(char, encoding);
+      if (used + length > limits.multipart) {
+        segments++;
+        used = 0;
+      }
+      used += length;
+    }
+
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments,
+      unitsPerSegment: limits.multipart,
+      remainingInSegment: limits.multipart - used,
+      nonGsmCharacters: this.nonGsmCharacters(chars, encoding)
+    };
+  }
+
+  // Characters that forced UCS-2, useful for spotting stray smart quotes
+  nonGsmCharacters(chars, encoding) {
+    if (encoding === 'GSM-7') {
+      return [];
+    }
+
+    return [...new Set(chars.filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)))];
+  }
+
+  // Analyze and reject messages longer than the configured segment limit
+  validate(message) {
+    const analysis = this.analyze(message);
+
+    if (analysis.segments > this.maxSegments) {
+      throw new ValidationError(
+        `Message too long: ${analysis.segments} ${analysis.encoding} segments exceeds the limit of ${this.maxSegments}`,
+        analysis
+      );
+    }
+
+    return analysis;
+  }
+}
+
+export const smsSegmenter = new SMSSegmenter();
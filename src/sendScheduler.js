@@ -0,0 +1,136 @@
+import { redisClient } from './redis.js';
+import { ValidationError } from './errors.js';
+
+// ISO 8601 timestamps must carry an explicit offset so "09:00" is never
+// read in the server's timezone by accident
+const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Allow a little clock skew before a sendAt in the past is rejected
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+// Works out when a job may be sent, from the caller's sendAt and the
+// tenant's quiet hours, and indexes scheduled jobs per tenant.
+class SendScheduler {
+  indexKey(tenantId) {
+    return `sms_scheduled:${tenantId || 'global'}`;
+  }
+
+  parseSendAt(sendAt) {
+    if (typeof sendAt !== 'string' || !ISO_WITH_ZONE.test(sendAt)) {
+      throw new ValidationError('sendAt must be an ISO 8601 timestamp with a timezone, e.g. 2024-01-15T09:00:00+03:00');
+    }
+
+    const time = Date.parse(sendAt);
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`sendAt is not a valid date: ${sendAt}`);
+    }
+
+    if (time < Date.now() - PAST_TOLERANCE_MS) {
+      throw new ValidationError('sendAt cannot be in the past');
+    }
+
+    return time;
+  }
+
+  validateQuietHours(quietHours) {
+    if (quietHours === null) {
+      return;
+    }
+
+    const { start, end, timezone } = quietHours || {};
+    if (!TIME_OF_DAY.test(start || '') || !TIME_OF_DAY.test(end || '') || start === end) {
+      throw new ValidationError('quietHours needs distinct start and end times as HH:MM');
+    }
+
+    // Intl silently falls back to the server's timezone when none is given
+    if (typeof timezone !== 'string' || timezone.trim() === '') {
+      throw new ValidationError('quietHours needs a timezone, e.g. Africa/Nairobi');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new ValidationError(`quietHours has an unknown timezone: ${timezone}`);
+    }
+  }
+
+  toMinutes(timeOfDay) {
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  // Minutes since local midnight for a timestamp in the given timezone
+  localMinutes(time, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(time));
+
+    const hour = parseInt(parts.find(part => part.type === 'hour').value);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value);
+    return hour * 60 + minute;
+  }
+
+  // Push a time that falls inside the quiet window to the end of the window
+  applyQuietHours(time, quietHours) {
+    if (!quietHours) {
+      return time;
+    }
+
+    const start = this.toMinutes(quietHours.start);
+    const end = this.toMinutes(quietHours.end);
+    const local = this.localMinutes(time, quietHours.timezone);
+
+    // Windows such as 21:00-08:00 wrap past midnight
+    const inWindow = start < end
+      ? local >= start && local < end
+      : local >= start || local < end;
+
+    if (!inWindow) {
+      return time;
+    }
+
+    const minutesUntilEnd = (end - local + 1440) % 1440;
+    const startOfMinute = time - (time % 60000);
+    return startOfMinute + minutesUntilEnd * 60000;
+  }
+
+  // Resolve the send time for a new or rescheduled job
+  resolve({ sendAt = null, delay = 0, quietHours = null, ignoreQuietHours = false }) {
+    const requested = sendAt ? this.parseSendAt(sendAt) : Date.now() + delay;
+    const scheduled = ignoreQuietHours ? requested : this.applyQuietHours(requested, quietHours);
+
+    return {
+      scheduledFor: scheduled,
+      delay: Math.max(0, scheduled - Date.now()),
+      quietHoursAdjusted: scheduled !== requested
+    };
+  }
+
+  async index(tenantId, jobId, scheduledFor) {
+    const redis = redisClient.getClient();
+    await redis.zadd(this.indexKey(tenantId), scheduledFor, String(jobId));
+  }
+
+  async unindex(tenantId, jobId) {
+    const redis = redisClient.getClient();
+    await redis.zrem(this.indexKey(tenantId), String(jobId));
+  }
+
+  // Jobs leave the index when they start, so a throttled, retrying or held
+  // job is no longer scheduled even though BullMQ still has it delayed
+  async isScheduled(tenantId, jobId) {
+    const redis = redisClient.getClient();
+    return (await redis.zscore(this.indexKey(tenantId), String(jobId))) !== null;
+  }
+
+  async listJobIds(tenantId, { limit = 50, offset = 0 } = {}) {
+    const redis = redisClient.getClient();
+    return await redis.zrange(this.indexKey(tenantId), offset, offset + limit - 1);
+  }
+}
+
+export const sendScheduler = new SendScheduler();
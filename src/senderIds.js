@@ -0,0 +1,146 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+import { phoneNumbers } from './phoneNumbers.js';
+
+// Alphanumeric sender IDs are capped at 11 characters by carriers;
+// short codes are 3-8 digits
+const SENDER_ID_PATTERNS = {
+  alphanumeric: /^(?=.*[A-Za-z])[A-Za-z0-9 ]{1,11}$/,
+  shortcode: /^\d{3,8}$/
+};
+
+export const SENDER_ID_TYPES = Object.keys(SENDER_ID_PATTERNS);
+
+// Registry of sender IDs and short codes, each approved for a set of tenants
+// and destination countries. '*' approves every tenant or country. When a
+// send names no sender, the most specific approved one is used, falling
+// back to SMS_SENDER_NAME.
+class SenderIdRegistry {
+  sendersKey() {
+    return 'sms_sender_ids';
+  }
+
+  validate(senderId, { type, tenants = ['*'], countries = ['*'], isDefault = false }) {
+    if (!SENDER_ID_TYPES.includes(type)) {
+      throw new ValidationError(`type must be one of: ${SENDER_ID_TYPES.join(', ')}`);
+    }
+
+    if (!SENDER_ID_PATTERNS[type].test(senderId || '')) {
+      throw new ValidationError(type === 'shortcode'
+        ? 'A short code must be 3-8 digits'
+        : 'An alphanumeric sender ID must be 1-11 letters, digits or spaces and contain a letter');
+    }
+
+    if (!Array.isArray(tenants) || tenants.length === 0 || tenants.some(tenant => typeof tenant !== 'string' || tenant.length === 0)) {
+      throw new ValidationError('tenants must be a non-empty array of tenant IDs or "*"');
+    }
+
+    if (!Array.isArray(countries) || countries.length === 0) {
+      throw new ValidationError('countries must be a non-empty array of country codes or "*"');
+    }
+
+    const unsupported = countries.filter(country => country !== '*' && !phoneNumbers.isSupportedCountry(String(country).toUpperCase()));
+    if (unsupported.length > 0) {
+      throw new ValidationError(`Unsupported countries: ${unsupported.join(', ')}`, {
+        supportedCountries: phoneNumbers.getSupportedCountries()
+      });
+    }
+
+    if (typeof isDefault !== 'boolean') {
+      throw new ValidationError('isDefault must be a boolean');
+    }
+  }
+
+  async setSenderId(senderId, fields) {
+    this.validate(senderId, fields);
+
+    const redis = redisClient.getClient();
+    const sender = {
+      senderId,
+      type: fields.type,
+      tenants: fields.tenants || ['*'],
+      countries: (fields.countries || ['*']).map(country => (country === '*' ? country : country.toUpperCase())),
+      isDefault: fields.isDefault === true,
+      updatedAt: new Date().toISOString()
+    };
+
+    await redis.hset(this.sendersKey(), senderId, JSON.stringify(sender));
+    return sender;
+  }
+
+  async getSenderId(senderId) {
+    const redis = redisClient.getClient();
+    const sender = await redis.hget(this.sendersKey(), senderId);
+    return sender ? JSON.parse(sender) : null;
+  }
+
+  async listSenderIds() {
+    const redis = redisClient.getClient();
+    const senders = await redis.hvals(this.sendersKey());
+    return senders.map(sender => JSON.parse(sender)).sort((a, b) => a.senderId.localeCompare(b.senderId));
+  }
+
+  async deleteSenderId(senderId) {
+    const redis = redisClient.getClient();
+    const removed = await redis.hdel(this.sendersKey(), senderId);
+    return removed > 0;
+  }
+
+  // A send without a tenant or a known country only matches '*' approvals
+  isApproved(sender, tenantId, country) {
+    const tenantApproved = sender.tenants.includes('*') || (tenantId && sender.tenants.includes(tenantId));
+    const countryApproved = sender.countries.includes('*') || (country && sender.countries.includes(country));
+    return Boolean(tenantApproved && countryApproved);
+  }
+
+  // Senders naming the tenant outrank '*' ones, then senders naming the
+  // country; isDefault breaks ties
+  specificity(sender, tenantId, country) {
+    return (tenantId && sender.tenants.includes(tenantId) ? 4 : 0)
+      + (country && sender.countries.includes(country) ? 2 : 0)
+      + (sender.isDefault ? 1 : 0);
+  }
+
+  async listApproved(tenantId, country = null) {
+    const senders = await this.listSenderIds();
+    return senders.filter(sender => (country
+      ? this.isApproved(sender, tenantId, country)
+      : sender.tenants.includes('*') || sender.tenants.includes(tenantId)));
+  }
+
+  // Pick the sender for one message. A requested sender must be registered
+  // and approved for the tenant and destination country.
+  async resolve({ from = null, tenantId = null, country = null }) {
+    const senders = await this.listSenderIds();
+
+    if (from) {
+      const sender = senders.find(candidate => candidate.senderId === from);
+
+      if (!sender) {
+        throw new ValidationError(`Sender ID ${from} is not registered`);
+      }
+
+      if (!this.isApproved(sender, tenantId, country)) {
+        throw new ValidationError(`Sender ID ${from} is not approved for this tenant and destination`, {
+          tenantId,
+          country
+        });
+      }
+
+      return { from: sender.senderId, type: sender.type, source: 'request' };
+    }
+
+    const approved = senders
+      .filter(sender => this.isApproved(sender, tenantId, country))
+      .sort((a, b) => this.specificity(b, tenantId, country) - this.specificity(a, tenantId, country));
+
+    if (approved.length === 0) {
+      return { from: config.africasTalking.from, type: null, source: 'config' };
+    }
+
+    return { from: approved[0].senderId, type: approved[0].type, source: 'registry' };
+  }
+}
+
+export const senderIds = new SenderIdRegistry();
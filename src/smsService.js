@@ -1,72 +1,188 @@
-import africastalking from 'africastalking';
 import { config } from './config.js';
-import { redisClient } from './redis.js';
 import { rateLimiter } from './rateLimiter.js';
+import { rateLimitPolicies } from './rateLimitPolicies.js';
+import { ProviderRouter } from './providers/index.js';
+import { smsSegmenter } from './segmentation.js';
+import { senderIds } from './senderIds.js';
+import { metrics } from './metrics.js';
+import { messageHistory } from './messageHistory.js';
+import { analytics } from './analytics.js';
+import { ValidationError, RateLimitError, ProviderError, isRetryableErrorType, shouldFailover } from './errors.js';
 
 class SMSService {
   constructor() {
-    this.client = africastalking({
-      username: config.africasTalking.username,
-      apiKey: config.africasTalking.apiKey
+    this.router = new ProviderRouter({
+      providers: config.sms.providers,
+      strategy: config.sms.routingStrategy,
+      countryRoutes: config.sms.countryRoutes
     });
-    this.from = config.africasTalking.from;
   }
 
-  async sendSMS({ to, message, identifier = 'default' }) {
+  async sendSMS({ to, message, identifier = 'default', tenantId = null, country = null, from = null, jobId = null, campaignId = null, attempt = null }) {
+    const context = { jobId, campaignId, tenantId, identifier, country, attempt };
+    let sender = null;
+
     try {
-      // Check rate limits
-      const rateLimitResult = await rateLimiter.isAllowed(identifier);
+      // Check the identifier's limit and every tenant, recipient and country policy
+      const rateLimitResult = await rateLimitPolicies.check({ identifier, tenantId, to, country });
       
       if (!rateLimitResult.allowed) {
-        throw new Error(`Rate limit exceeded. Blocked for ${Math.ceil(rateLimitResult.blockDuration / 1000)} seconds`);
+        throw this.rateLimitError(rateLimitResult);
       }
 
       // Validate phone number
       if (!this.isValidPhoneNumber(to)) {
-        throw new Error('Invalid phone number format');
+        throw new ValidationError('Invalid phone number format');
       }
 
       // Validate message
       if (!message || message.trim().length === 0) {
-        throw new Error('Message cannot be empty');
+        throw new ValidationError('Message cannot be empty');
       }
 
-      if (message.length > 160) {
-        console.warn(`Message length (${message.length}) exceeds standard SMS limit (160 chars)`);
-      }
+      const segmentation = smsSegmenter.validate(message.trim());
+
+      // The registry is checked again at send time, since approvals can be
+      // revoked while a message waits in the queue
+      sender = await senderIds.resolve({ from, tenantId, country });
 
-      // Send SMS via Africa's Talking API
+      // Build the outgoing message
       const smsData = {
-        to: [to],
+        to,
         message: message.trim(),
-        from: this.from
+        from: sender.from
       };
 
-      const result = await this.client.SMS.send(smsData);
+      // Try each candidate provider until one accepts the message
+      const sendStart = Date.now();
+      let sent;
+      try {
+        sent = await this.sendWithFailover(smsData);
+      } catch (error) {
+        // Every provider was at its cap, so nothing was sent; the units
+        // taken above are given back before the job is throttled and retried
+        if (error instanceof RateLimitError) {
+          await rateLimitPolicies.refund(rateLimitResult.receipts);
+        }
+        throw error;
+      }
+      const { provider, result, parsed, attemptedProviders } = sent;
+      const latencyMs = Date.now() - sendStart;
       
       // Log successful delivery
-      await this.logSMSDelivery(to, message, 'success', result);
+      await this.logSMSDelivery(to, message, 'success', result, null, {
+        ...context,
+        messageId: parsed.messageId,
+        cost: parsed.cost,
+        from: sender.from,
+        senderSource: sender.source,
+        provider: provider.name,
+        attemptedProviders,
+        encoding: segmentation.encoding,
+        segments: segmentation.segments,
+        latencyMs
+      });
       
       return {
         success: true,
-        messageId: result.SMSMessageData.Recipients[0].messageId,
-        status: result.SMSMessageData.Recipients[0].status,
-        cost: result.SMSMessageData.Recipients[0].cost,
+        provider: provider.name,
+        attemptedProviders,
+        from: sender.from,
+        senderSource: sender.source,
+        messageId: parsed.messageId,
+        status: parsed.status,
+        cost: parsed.cost,
+        encoding: segmentation.encoding,
+        segments: segmentation.segments,
         rateLimit: {
           allowed: true,
           remaining: rateLimitResult.remaining,
-          resetTime: rateLimitResult.resetTime
+          resetTime: rateLimitResult.resetTime,
+          bindingRule: rateLimitResult.bindingRule
         }
       };
 
     } catch (error) {
-      // Log failed delivery attempt
-      await this.logSMSDelivery(to, message, 'failed', null, error.message);
+      // Log failed delivery attempt; throttled sends are retried by the queue
+      const status = error instanceof RateLimitError ? 'throttled' : 'failed';
+      await this.logSMSDelivery(to, message, status, null, error.message, {
+        ...context,
+        errorType: error.type || null,
+        providerStatusCode: error.statusCode || null,
+        from: sender?.from || from,
+        provider: error.provider || null,
+        attemptedProviders: error.attemptedProviders || []
+      });
       
       throw error;
     }
   }
 
+  async sendWithFailover(smsData) {
+    const providers = this.router.selectProviders(smsData.to);
+    const attemptedProviders = [];
+    let lastError = null;
+
+    const throttled = [];
+
+    for (const provider of providers) {
+      // A provider at its throughput cap is skipped, not failed
+      const cap = await rateLimitPolicies.checkProvider(provider.name);
+      if (!cap.allowed) {
+        throttled.push(cap);
+        continue;
+      }
+
+      attemptedProviders.push(provider.name);
+      const requestStart = Date.now();
+
+      try {
+        const result = await provider.send(smsData);
+        const parsed = provider.parseResponse(result);
+        metrics.recordProviderRequest(provider.name, 'accepted', Date.now() - requestStart);
+        return { provider, result, parsed, attemptedProviders };
+      } catch (providerError) {
+        // Adapters throw typed errors for rejections they recognize; anything
+        // else (network, SDK) is classified after the fact
+        if (!(providerError instanceof ProviderError)) {
+          const classification = provider.classifyError(providerError);
+          providerError.type = classification.type;
+          providerError.retryable = isRetryableErrorType(classification.type);
+        }
+        providerError.provider = provider.name;
+        lastError = providerError;
+        metrics.recordProviderRequest(provider.name, providerError.type, Date.now() - requestStart);
+
+        // A permanent error (bad number, blacklisted recipient) fails the same way everywhere
+        if (!shouldFailover(providerError.type)) {
+          break;
+        }
+
+        console.warn(`Provider ${provider.name} failed for ${smsData.to}: ${providerError.message}`);
+      }
+    }
+
+    // Every candidate was capped; wait for the first one to free up
+    if (!lastError) {
+      throw this.rateLimitError(throttled.reduce((soonest, cap) => (cap.resetTime < soonest.resetTime ? cap : soonest)));
+    }
+
+    lastError.attemptedProviders = attemptedProviders;
+    throw lastError;
+  }
+
+  rateLimitError(rateLimitResult) {
+    const rule = rateLimitResult.bindingRule;
+    const retryIn = Math.max(1, Math.ceil((rateLimitResult.resetTime - Date.now()) / 1000));
+    const error = new RateLimitError(`Rate limit exceeded (${rule.scope} rule ${rule.id}). Retry in ${retryIn} seconds`, {
+      resetTime: rateLimitResult.resetTime,
+      blockDuration: rateLimitResult.blockDuration
+    });
+
+    error.rule = rule;
+    return error;
+  }
+
   async sendBulkSMS(messages, identifier = 'bulk') {
     const results = [];
     
@@ -82,15 +198,17 @@ class SMSService {
     return results;
   }
 
+  getProvider(name) {
+    return this.router.getProvider(name);
+  }
+
   isValidPhoneNumber(phoneNumber) {
-    // Basic validation for international phone numbers
+    // Numbers are normalized to E.164 at enqueue time, so only the format is rechecked here
     const phoneRegex = /^\+[1-9]\d{1,14}$/;
     return phoneRegex.test(phoneNumber);
   }
 
-  async logSMSDelivery(to, message, status, apiResponse = null, error = null) {
-    const redis = redisClient.getClient();
-    
+  async logSMSDelivery(to, message, status, apiResponse = null, error = null, details = {}) {
     try {
       const logEntry = {
         timestamp: new Date().toISOString(),
@@ -98,68 +216,50 @@ class SMSService {
         message: message.substring(0, 100) + (message.length > 100 ? '...' : ''),
         status,
         apiResponse,
-        error
+        error,
+        ...details
       };
 
-      // Store in Redis list (keep last 1000 entries)
-      await redis.lpush('sms_delivery_logs', JSON.stringify(logEntry));
-      await redis.ltrim('sms_delivery_logs', 0, 999);
+      // The history keeps the full message
+      await messageHistory.record({ ...logEntry, message });
 
-      // Also store in a daily log for analytics
-      const today = new Date().toISOString().split('T')[0];
-      const dailyKey = `sms_logs:${today}`;
-      await redis.lpush(dailyKey, JSON.stringify(logEntry));
-      await redis.expire(dailyKey, 86400 * 7); // Keep for 7 days
+      // Roll the attempt into the hourly and daily stats
+      await analytics.record(logEntry);
 
     } catch (logError) {
       console.error('Failed to log SMS delivery:', logError);
     }
   }
 
-  async getDeliveryLogs(limit = 50, offset = 0) {
-    const redis = redisClient.getClient();
-    
-    try {
-      const logs = await redis.lrange('sms_delivery_logs', offset, offset + limit - 1);
-      return logs.map(log => JSON.parse(log));
-    } catch (error) {
-      console.error('Failed to retrieve delivery logs:', error);
-      return [];
-    }
+  async getDeliveryLogs(filters = {}, { limit = 50, cursor = null } = {}) {
+    return await messageHistory.query(filters, { limit, cursor });
   }
 
   async getDailyStats(date = new Date().toISOString().split('T')[0]) {
-    const redis = redisClient.getClient();
-    
     try {
-      const dailyKey = `sms_logs:${date}`;
-      const logs = await redis.lrange(dailyKey, 0, -1);
-      
-      const stats = {
-        total: logs.length,
-        successful: 0,
-        failed: 0,
+      const range = { from: `${date}T00:00:00.000Z`, to: `${date}T23:59:59.999Z`, granularity: 'day' };
+      const [overall, byErrorType] = await Promise.all([
+        analytics.getStats(range),
+        analytics.getStats({ ...range, groupBy: 'errorType' })
+      ]);
+      const totals = overall.totals[0] || { total: 0, success: 0, failed: 0, throttled: 0 };
+
+      return {
+        total: totals.total,
+        successful: totals.success,
+        failed: totals.failed,
+        throttled: totals.throttled,
+        failuresByType: Object.fromEntries(byErrorType.totals.map(group => [group.key, group.total])),
         date
       };
-
-      logs.forEach(log => {
-        const parsed = JSON.parse(log);
-        if (parsed.status === 'success') {
-          stats.successful++;
-        } else {
-          stats.failed++;
-        }
-      });
-
-      return stats;
     } catch (error) {
       console.error('Failed to get daily stats:', error);
-      return { total: 0, successful: 0, failed: 0, date };
+      return { total: 0, successful: 0, failed: 0, throttled: 0, failuresByType: {}, date };
     }
   }
 
-  async getRateLimitStatus(identifier) {
-    return await rateLimiter.getStatus(identifier);
+  async getRateLimitStatus(identifier, { tenantId = null, to = null, country = null } = {}) {
+    return await rateLimitPolicies.getStatus({ identifier, tenantId, to, country });
   }
 
   async resetRateLimit(identifier) {
@@ -0,0 +1,396 @@
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { ValidationError, BudgetExceededError } from './errors.js';
+import { parseCost } from './analytics.js';
+import { webhookDispatcher } from './webhookDispatcher.js';
+
+export const BUDGET_ACTIONS = ['pause', 'reject'];
+
+const PERIODS = {
+  daily: 'day',
+  monthly: 'month'
+};
+
+// Checks the day and month limits against what has been spent plus what
+// in-flight sends have reserved, and reserves this send's estimate if it
+// fits. Reservations are "{jobId}:{micros}" members scored by expiry, so one
+// left by a worker that died mid-send lapses on its own.
+// KEYS: day hash, month hash, reservations
+// ARGV: currency, now, estimate, reservation TTL ms, member ('' only checks),
+// daily limit, monthly limit (-1 for none); amounts in micros
+// Returns { period index that would be exceeded or 0, spent, reserved }
+const RESERVE_SCRIPT = `
+  redis.call('ZREMRANGEBYSCORE', KEYS[3], '-inf', ARGV[2])
+  local reserved = 0
+  for _, member in ipairs(redis.call('ZRANGE', KEYS[3], 0, -1)) do
+    reserved = reserved + tonumber(string.match(member, ':(%d+)$'))
+  end
+
+  local estimate = tonumber(ARGV[3])
+  for index = 1, 2 do
+    local limit = tonumber(ARGV[5 + index])
+    if limit >= 0 then
+      local spent = tonumber(redis.call('HGET', KEYS[index], ARGV[1]) or '0')
+      if spent >= limit or spent + reserved + estimate > limit then
+        return {index, spent, reserved}
+      end
+    end
+  end
+
+  if ARGV[5] ~= '' then
+    redis.call('ZADD', KEYS[3], tonumber(ARGV[2]) + tonumber(ARGV[4]), ARGV[5])
+    redis.call('PEXPIRE', KEYS[3], ARGV[4])
+  end
+  return {0, 0, reserved}
+`;
+
+// Provider costs summed per tenant per day and month, and per campaign.
+// Amounts are stored in millionths of the currency unit so HINCRBY stays
+// exact; each hash also counts segments and messages per currency.
+class SpendTracker {
+  scope(tenantId) {
+    return tenantId ? `tenant:${tenantId}` : 'global';
+  }
+
+  periodKey(tenantId, unit, bucket) {
+    return `sms_spend:${this.scope(tenantId)}:${unit}:${bucket}`;
+  }
+
+  campaignKey(campaignId) {
+    return `sms_spend:campaign:${campaignId}`;
+  }
+
+  reservationsKey(tenantId, currency) {
+    return `sms_spend:${this.scope(tenantId)}:reserved:${currency}`;
+  }
+
+  warningKey(tenantId, unit, bucket, level) {
+    return `sms_spend:${this.scope(tenantId)}:${unit}:${bucket}:${level}_sent`;
+  }
+
+  bucketFor(time, unit) {
+    const iso = new Date(time).toISOString();
+    return unit === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
+  }
+
+  // When the current day or month ends, in UTC
+  resetsAt(unit, time = Date.now()) {
+    const date = new Date(time);
+    return unit === 'day'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).getTime()
+      : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).getTime();
+  }
+
+  validateBudget(budget) {
+    if (budget === null) {
+      return;
+    }
+
+    if (typeof budget !== 'object' || Array.isArray(budget)) {
+      throw new ValidationError('budget must be an object or null');
+    }
+
+    const { currency, daily = null, monthly = null, warnAt, onExceeded, segmentCost } = budget;
+
+    if (!/^[A-Z]{3}$/.test(currency || '')) {
+      throw new ValidationError('budget.currency must be a 3-letter currency code such as KES');
+    }
+
+    for (const [field, value] of [['daily', daily], ['monthly', monthly]]) {
+      if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+        throw new ValidationError(`budget.${field} must be a positive number or null`);
+      }
+    }
+
+    if (daily === null && monthly === null) {
+      throw new ValidationError('budget needs a daily or monthly limit');
+    }
+
+    if (warnAt !== undefined && (typeof warnAt !== 'number' || warnAt <= 0 || warnAt >= 1)) {
+      throw new ValidationError('budget.warnAt must be a fraction between 0 and 1');
+    }
+
+    if (onExceeded !== undefined && !BUDGET_ACTIONS.includes(onExceeded)) {
+      throw new ValidationError(`budget.onExceeded must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+    }
+
+    if (segmentCost !== undefined && (typeof segmentCost !== 'number' || !(segmentCost > 0))) {
+      throw new ValidationError('budget.segmentCost must be a positive number');
+    }
+  }
+
+  withDefaults(budget) {
+    return {
+      daily: null,
+      monthly: null,
+      warnAt: config.budgets.warningThreshold,
+      onExceeded: 'pause',
+      segmentCost: config.budgets.defaultSegmentCost,
+      ...budget
+    };
+  }
+
+  // "{currency}", "{currency}:segments" and "{currency}:messages" fields ->
+  // { currency: { amount, segments, messages } }
+  parseSpend(hash) {
+    const spend = {};
+
+    for (const [field, value] of Object.entries(hash || {})) {
+      const [currency, metric] = field.split(':');
+      spend[currency] = spend[currency] || { amount: 0, segments: 0, messages: 0 };
+
+      if (metric) {
+        spend[currency][metric] = parseInt(value);
+      } else {
+        spend[currency].amount = parseInt(value) / 1e6;
+      }
+    }
+
+    return spend;
+  }
+
+  async getPeriodSpend(tenantId, unit, time = Date.now()) {
+    const redis = redisClient.getClient();
+    return this.parseSpend(await redis.hgetall(this.periodKey(tenantId, unit, this.bucketFor(time, unit))));
+  }
+
+  async getCampaignSpend(campaignId) {
+    const redis = redisClient.getClient();
+    return this.parseSpend(await redis.hgetall(this.campaignKey(campaignId)));
+  }
+
+  // Cost of the next message, from this month's average cost per segment,
+  // or the budget's segmentCost before anything has been sent this month
+  estimateCost(monthSpend, segments, budget) {
+    if (!monthSpend || monthSpend.segments === 0) {
+      return budget.segmentCost * segments;
+    }
+
+    return (monthSpend.amount / monthSpend.segments) * segments;
+  }
+
+  // Whether a send of this many segments fits in the tenant's budget, given
+  // what other sends in flight have reserved. With reserveFor (a job ID) the
+  // estimate is reserved in the same step; pass the returned reservation to
+  // releaseReservation once the cost has been recorded or the send failed.
+  async checkBudget(tenantId, budget, segments = 1, { reserveFor = null } = {}) {
+    if (!budget) {
+      return { allowed: true, reservation: null };
+    }
+
+    const settings = this.withDefaults(budget);
+    const now = Date.now();
+    const monthSpend = await this.getPeriodSpend(tenantId, 'month', now);
+    const estimate = this.estimateCost(monthSpend[settings.currency], segments, settings);
+    const micros = Math.round(estimate * 1e6);
+    const member = reserveFor ? `${reserveFor}:${micros}` : '';
+    const limitMicros = limit => (limit === null ? -1 : Math.round(limit * 1e6));
+
+    const redis = redisClient.getClient();
+    const [exceeded, spent, reserved] = await redis.eval(
+      RESERVE_SCRIPT,
+      3,
+      this.periodKey(tenantId, 'day', this.bucketFor(now, 'day')),
+      this.periodKey(tenantId, 'month', this.bucketFor(now, 'month')),
+      this.reservationsKey(tenantId, settings.currency),
+      settings.currency,
+      now,
+      micros,
+      config.budgets.reservationTtlMs,
+      member,
+      limitMicros(settings.daily),
+      limitMicros(settings.monthly)
+    );
+
+    if (exceeded) {
+      const period = exceeded === 1 ? 'daily' : 'monthly';
+      return {
+        allowed: false,
+        period,
+        limit: settings[period],
+        spent: spent / 1e6,
+        reserved: reserved / 1e6,
+        estimate,
+        currency: settings.currency,
+        onExceeded: settings.onExceeded,
+        resetsAt: new Date(this.resetsAt(PERIODS[period], now)).toISOString()
+      };
+    }
+
+    return {
+      allowed: true,
+      reservation: member ? { tenantId, currency: settings.currency, member } : null
+    };
+  }
+
+  // Refuse a send up front when the tenant's budget rejects sends and is spent
+  async assertWithinBudget(tenantId, budget, segments = 1) {
+    if (budget?.onExceeded !== 'reject') {
+      return;
+    }
+
+    const budgetCheck = await this.checkBudget(tenantId, budget, segments);
+    if (!budgetCheck.allowed) {
+      throw new BudgetExceededError(budgetCheck);
+    }
+  }
+
+  async releaseReservation(reservation) {
+    if (!reservation) {
+      return;
+    }
+
+    const redis = redisClient.getClient();
+
+    try {
+      await redis.zrem(this.reservationsKey(reservation.tenantId, reservation.currency), reservation.member);
+    } catch (error) {
+      console.error('Failed to release budget reservation:', error);
+    }
+  }
+
+  // Add one sent message's cost to the tenant's day and month and to its
+  // campaign, then raise budget events for any threshold it crossed
+  async recordSpend({ tenantId, campaignId = null, cost, segments = 1, jobId = null, identifier = null }, budget = null) {
+    const parsed = parseCost(cost);
+    if (!parsed || parsed.amount <= 0) {
+      return null;
+    }
+
+    const redis = redisClient.getClient();
+
+    try {
+      const now = Date.now();
+      const micros = Math.round(parsed.amount * 1e6);
+      const keys = [
+        [this.periodKey(tenantId, 'day', this.bucketFor(now, 'day')), config.budgets.retentionDays * 86400],
+        [this.periodKey(tenantId, 'month', this.bucketFor(now, 'month')), config.budgets.retentionDays * 86400],
+        ...(campaignId ? [[this.campaignKey(campaignId), null]] : [])
+      ];
+
+      const pipeline = redis.pipeline();
+      for (const [key, ttlSeconds] of keys) {
+        pipeline.hincrby(key, parsed.currency, micros);
+        pipeline.hincrby(key, `${parsed.currency}:segments`, segments || 1);
+        pipeline.hincrby(key, `${parsed.currency}:messages`, 1);
+        if (ttlSeconds) {
+          pipeline.expire(key, ttlSeconds);
+        }
+      }
+      const results = await pipeline.exec();
+
+      // The day and month totals after this message; each key takes four commands
+      const totals = {
+        daily: results[0][1] / 1e6,
+        monthly: results[4][1] / 1e6
+      };
+
+      if (budget && budget.currency === parsed.currency) {
+        await this.checkThresholds(tenantId, this.withDefaults(budget), totals, { jobId, identifier });
+      }
+
+      return { currency: parsed.currency, amount: parsed.amount, ...totals };
+    } catch (error) {
+      console.error('Failed to record spend:', error);
+      return null;
+    }
+  }
+
+  // Each event is sent once per tenant per day or month
+  async checkThresholds(tenantId, budget, totals, { jobId, identifier }) {
+    const redis = redisClient.getClient();
+
+    for (const [period, unit] of Object.entries(PERIODS)) {
+      const limit = budget[period];
+      if (limit === null) {
+        continue;
+      }
+
+      const spent = totals[period];
+      const level = spent >= limit ? 'exceeded' : spent >= limit * budget.warnAt ? 'warning' : null;
+      if (!level) {
+        continue;
+      }
+
+      const bucket = this.bucketFor(Date.now(), unit);
+      const first = await redis.set(this.warningKey(tenantId, unit, bucket, level), '1', 'EX', 86400 * 32, 'NX');
+      if (!first) {
+        continue;
+      }
+
+      console.warn(`Tenant ${tenantId || 'global'} ${period} budget ${level}: ${spent} of ${limit} ${budget.currency}`);
+
+      // The budget belongs to the tenant, not to the key that happened to
+      // send the message that crossed the threshold
+      webhookDispatcher.dispatchToTenant(`budget.${level}`, tenantId, { jobId }, {
+        tenantId,
+        triggeredBy: identifier,
+        period,
+        currency: budget.currency,
+        limit,
+        spent,
+        percentUsed: Math.round((spent / limit) * 10000) / 100,
+        onExceeded: budget.onExceeded
+      });
+    }
+  }
+
+  // Spend against budget for the current day and month, plus a daily series
+  async getReport(tenantId, budget, { from = null, to = null } = {}) {
+    const now = Date.now();
+    const end = to ? Date.parse(to) : now;
+    const start = from ? Date.parse(from) : Date.parse(`${this.bucketFor(now, 'month')}-01T00:00:00.000Z`);
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new ValidationError('from and to must be ISO 8601 dates');
+    }
+
+    if (start > end) {
+      throw new ValidationError('from must be before to');
+    }
+
+    const days = [];
+    for (let time = Date.parse(`${this.bucketFor(start, 'day')}T00:00:00.000Z`); time <= end; time += 86400000) {
+      days.push(this.bucketFor(time, 'day'));
+    }
+
+    if (days.length > config.budgets.maxReportDays) {
+      throw new ValidationError(`Range covers ${days.length} days; the maximum is ${config.budgets.maxReportDays}`);
+    }
+
+    const redis = redisClient.getClient();
+    const pipeline = redis.pipeline();
+    days.forEach(day => pipeline.hgetall(this.periodKey(tenantId, 'day', day)));
+    const results = await pipeline.exec();
+
+    const [daySpend, monthSpend] = await Promise.all([
+      this.getPeriodSpend(tenantId, 'day', now),
+      this.getPeriodSpend(tenantId, 'month', now)
+    ]);
+    const settings = budget ? this.withDefaults(budget) : null;
+
+    return {
+      tenantId,
+      budget: settings,
+      today: this.summarize(daySpend, settings, 'daily', now),
+      thisMonth: this.summarize(monthSpend, settings, 'monthly', now),
+      days: days.map((date, index) => ({ date, spend: this.parseSpend(results[index][1]) }))
+    };
+  }
+
+  summarize(spend, budget, period, now) {
+    const limit = budget?.[period] ?? null;
+    const spent = budget ? spend[budget.currency]?.amount || 0 : null;
+
+    return {
+      period: this.bucketFor(now, PERIODS[period]),
+      spend,
+      limit,
+      remaining: limit !== null ? Math.max(0, Math.round((limit - spent) * 1e6) / 1e6) : null,
+      percentUsed: limit !== null ? Math.round((spent / limit) * 10000) / 100 : null,
+      resetsAt: new Date(this.resetsAt(PERIODS[period], now)).toISOString()
+    };
+  }
+}
+
+export const spendTracker = new SpendTracker();
@@ -0,0 +1,118 @@
+import { redisClient } from './redis.js';
+import { phoneNumbers } from './phoneNumbers.js';
+
+export const GLOBAL_SCOPE = 'global';
+
+// Replies that opt a number out of all further messages
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+
+// Numbers that must not be messaged. Opt-outs received by reply go on the
+// list of the tenant the reply belongs to, or the global list when it
+// cannot be traced to a tenant; tenants can also keep their own lists.
+class SuppressionList {
+  listKey(scope) {
+    return `sms_suppression:${scope || GLOBAL_SCOPE}`;
+  }
+
+  async add(scope, number, { reason = null, source = 'api' } = {}) {
+    const redis = redisClient.getClient();
+    const entry = {
+      number,
+      reason,
+      source,
+      createdAt: new Date().toISOString()
+    };
+
+    await redis.hset(this.listKey(scope), number, JSON.stringify(entry));
+    return entry;
+  }
+
+  async remove(scope, number) {
+    const redis = redisClient.getClient();
+    const removed = await redis.hdel(this.listKey(scope), number);
+    return removed > 0;
+  }
+
+  async get(scope, number) {
+    const redis = redisClient.getClient();
+    const entry = await redis.hget(this.listKey(scope), number);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  // A number is suppressed if it is on the global list or the tenant's list
+  async isSuppressed(number, tenantId = null) {
+    const redis = redisClient.getClient();
+    const pipeline = redis.pipeline().hexists(this.listKey(GLOBAL_SCOPE), number);
+
+    if (tenantId) {
+      pipeline.hexists(this.listKey(tenantId), number);
+    }
+
+    const results = await pipeline.exec();
+    return results.some(([error, exists]) => !error && exists === 1);
+  }
+
+  async list(scope, { cursor = '0', limit = 100 } = {}) {
+    const redis = redisClient.getClient();
+    const [nextCursor, fields] = await redis.hscan(this.listKey(scope), cursor, 'COUNT', limit);
+
+    const entries = [];
+    for (let i = 0; i < fields.length; i += 2) {
+      entries.push(JSON.parse(fields[i + 1]));
+    }
+
+    return {
+      entries,
+      nextCursor: nextCursor === '0' ? null : nextCursor,
+      total: await redis.hlen(this.listKey(scope))
+    };
+  }
+
+  // Normalize and add many numbers, reporting the ones that could not be parsed
+  async import(scope, numbers, { reason = null, defaultCountry } = {}) {
+    const redis = redisClient.getClient();
+    const pipeline = redis.pipeline();
+    const rejected = [];
+    let imported = 0;
+    const createdAt = new Date().toISOString();
+
+    numbers.forEach((number, index) => {
+      try {
+        const { e164 } = phoneNumbers.normalize(number, defaultCountry, { allowFixedLine: true });
+        pipeline.hset(this.listKey(scope), e164, JSON.stringify({ number: e164, reason, source: 'import', createdAt }));
+        imported++;
+      } catch (error) {
+        rejected.push({ index, number, error: error.message });
+      }
+    });
+
+    if (imported > 0) {
+      await pipeline.exec();
+    }
+
+    return { imported, rejected };
+  }
+
+  isStopKeyword(text) {
+    const keyword = (text || '').trim().split(/\s+/)[0].toUpperCase();
+    return STOP_KEYWORDS.includes(keyword);
+  }
+
+  // Opt the sender out of the tenant's messages when an inbound message is
+  // a STOP keyword
+  async handleInboundMessage({ from, text, tenantId = null }) {
+    if (!this.isStopKeyword(text)) {
+      return { optedOut: false };
+    }
+
+    await this.add(tenantId || GLOBAL_SCOPE, from, {
+      reason: `Replied ${text.trim().toUpperCase()}`,
+      source: 'inbound'
+    });
+    console.log(`Recipient ${from} opted out via inbound keyword`);
+
+    return { optedOut: true };
+  }
+}
+
+export const suppressionList = new SuppressionList();
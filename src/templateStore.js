@@ -0,0 +1,165 @@
+import { redisClient } from './redis.js';
+import { ValidationError } from './errors.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Message templates with immutable versions. Updating a template adds a new
+// version; jobs store the rendered text, so queued messages are unaffected.
+class TemplateStore {
+  scope(tenantId) {
+    return tenantId || 'global';
+  }
+
+  templateKey(tenantId, templateId) {
+    return `sms_template:${this.scope(tenantId)}:${templateId}`;
+  }
+
+  versionsKey(tenantId, templateId) {
+    return `sms_template:${this.scope(tenantId)}:${templateId}:versions`;
+  }
+
+  indexKey(tenantId) {
+    return `sms_templates:${this.scope(tenantId)}`;
+  }
+
+  extractVariables(body) {
+    return [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+  }
+
+  validateBody(body) {
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      throw new ValidationError('Template body cannot be empty');
+    }
+  }
+
+  async createTemplate(tenantId, { templateId, name = null, body }) {
+    if (!TEMPLATE_ID_PATTERN.test(templateId || '')) {
+      throw new ValidationError('templateId must be 1-64 letters, digits, "-" or "_"');
+    }
+    this.validateBody(body);
+
+    const redis = redisClient.getClient();
+    const now = new Date().toISOString();
+    const template = {
+      templateId,
+      name,
+      latestVersion: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // NX so two concurrent creates cannot both win
+    const created = await redis.set(this.templateKey(tenantId, templateId), JSON.stringify(template), 'NX');
+    if (!created) {
+      throw new ValidationError(`Template ${templateId} already exists`);
+    }
+
+    const version = { version: 1, body, variables: this.extractVariables(body), createdAt: now };
+    await redis.hset(this.versionsKey(tenantId, templateId), '1', JSON.stringify(version));
+    await redis.sadd(this.indexKey(tenantId), templateId);
+
+    return { ...template, current: version };
+  }
+
+  async updateTemplate(tenantId, templateId, { name, body }) {
+    this.validateBody(body);
+
+    const redis = redisClient.getClient();
+    const template = await this.getTemplateMeta(tenantId, templateId);
+    if (!template) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const versionNumber = await redis.hlen(this.versionsKey(tenantId, templateId)) + 1;
+    const version = { version: versionNumber, body, variables: this.extractVariables(body), createdAt: now };
+
+    // HSETNX guards against a concurrent update claiming the same number
+    const added = await redis.hsetnx(this.versionsKey(tenantId, templateId), String(versionNumber), JSON.stringify(version));
+    if (!added) {
+      throw new Error(`Concurrent update of template ${templateId}, please retry`);
+    }
+
+    template.latestVersion = versionNumber;
+    template.updatedAt = now;
+    if (name !== undefined) {
+      template.name = name;
+    }
+    await redis.set(this.templateKey(tenantId, templateId), JSON.stringify(template));
+
+    return { ...template, current: version };
+  }
+
+  async getTemplateMeta(tenantId, templateId) {
+    const redis = redisClient.getClient();
+    const template = await redis.get(this.templateKey(tenantId, templateId));
+    return template ? JSON.parse(template) : null;
+  }
+
+  async getTemplate(tenantId, templateId, version = null) {
+    const template = await this.getTemplateMeta(tenantId, templateId);
+    if (!template) {
+      return null;
+    }
+
+    const current = await this.getVersion(tenantId, templateId, version || template.latestVersion);
+    if (!current) {
+      return null;
+    }
+
+    return { ...template, current };
+  }
+
+  async getVersion(tenantId, templateId, version) {
+    const redis = redisClient.getClient();
+    const stored = await redis.hget(this.versionsKey(tenantId, templateId), String(version));
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async listVersions(tenantId, templateId) {
+    const redis = redisClient.getClient();
+    const versions = await redis.hvals(this.versionsKey(tenantId, templateId));
+    return versions.map(version => JSON.parse(version)).sort((a, b) => a.version - b.version);
+  }
+
+  async listTemplates(tenantId) {
+    const redis = redisClient.getClient();
+    const templateIds = await redis.smembers(this.indexKey(tenantId));
+    const templates = await Promise.all(templateIds.map(templateId => this.getTemplateMeta(tenantId, templateId)));
+    return templates.filter(Boolean).sort((a, b) => a.templateId.localeCompare(b.templateId));
+  }
+
+  async deleteTemplate(tenantId, templateId) {
+    const redis = redisClient.getClient();
+    const removed = await redis.del(this.templateKey(tenantId, templateId), this.versionsKey(tenantId, templateId));
+    await redis.srem(this.indexKey(tenantId), templateId);
+    return removed > 0;
+  }
+
+  // Render a template version, failing if any referenced variable is missing
+  async render(tenantId, templateId, variables = {}, version = null) {
+    const template = await this.getTemplate(tenantId, templateId, version);
+
+    if (!template) {
+      throw new ValidationError(version
+        ? `Template ${templateId} version ${version} not found`
+        : `Template ${templateId} not found`);
+    }
+
+    const missing = template.current.variables.filter(name => variables[name] === undefined || variables[name] === null);
+    if (missing.length > 0) {
+      throw new ValidationError(`Missing template variables: ${missing.join(', ')}`, { missing });
+    }
+
+    const message = template.current.body.replace(VARIABLE_PATTERN, (match, name) => String(variables[name]));
+
+    return {
+      message,
+      templateId,
+      templateVersion: template.current.version
+    };
+  }
+}
+
+export const templateStore = new TemplateStore();
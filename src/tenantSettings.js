@@ -0,0 +1,62 @@
+import { redisClient } from './redis.js';
+import { ValidationError } from './errors.js';
+import { phoneNumbers } from './phoneNumbers.js';
+import { sendScheduler } from './sendScheduler.js';
+import { spendTracker } from './spendTracker.js';
+
+// Validators for every per-tenant setting; unknown keys are rejected
+const SETTING_VALIDATORS = {
+  defaultCountry: value => {
+    if (value !== null && !phoneNumbers.isSupportedCountry(value)) {
+      throw new ValidationError(`defaultCountry must be one of: ${phoneNumbers.getSupportedCountries().join(', ')}`);
+    }
+  },
+  quietHours: value => sendScheduler.validateQuietHours(value),
+  budget: value => spendTracker.validateBudget(value)
+};
+
+const DEFAULT_SETTINGS = {
+  defaultCountry: null,
+  quietHours: null, // { start: '21:00', end: '08:00', timezone: 'Africa/Nairobi' }
+  budget: null // { currency: 'KES', daily: 500, monthly: 10000, warnAt: 0.8, onExceeded: 'pause' }
+};
+
+class TenantSettings {
+  settingsKey(tenantId) {
+    return `tenant_settings:${tenantId}`;
+  }
+
+  async get(tenantId) {
+    if (!tenantId) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    const redis = redisClient.getClient();
+
+    try {
+      const stored = await redis.get(this.settingsKey(tenantId));
+      return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.error('Failed to get tenant settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  async update(tenantId, changes) {
+    const unknown = Object.keys(changes).filter(key => !(key in SETTING_VALIDATORS));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown tenant settings: ${unknown.join(', ')}`);
+    }
+
+    Object.entries(changes).forEach(([key, value]) => SETTING_VALIDATORS[key](value));
+
+    const redis = redisClient.getClient();
+    const current = await this.get(tenantId);
+    const updated = { ...current, ...changes };
+
+    await redis.set(this.settingsKey(tenantId), JSON.stringify(updated));
+    return updated;
+  }
+}
+
+export const tenantSettings = new TenantSettings();
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { redisClient } from './redis.js';
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+
+// Each traffic class has its own queue and worker, so a marketing blast can
+// never take the concurrency reserved for OTPs.
+export const TRAFFIC_CLASSES = ['transactional', 'notification', 'marketing'];
+
+// BullMQ's lowest priority; jobs past it share one priority and run FIFO
+const MAX_PRIORITY = 2097152;
+
+// Delayed jobs wait with this priority instead of a round. When they come
+// due they are picked up first, take the lane's next round and requeue, so
+// a job delayed for hours cannot jump ahead with a round from long ago.
+export const DEFERRED_PRIORITY = 1;
+
+// A tenant's next job goes one round after its previous job, but never
+// behind the round the lane is currently processing. A tenant with one
+// message therefore waits at most one round, however many jobs another
+// tenant has queued.
+// Reserves ARGV[2] consecutive rounds and returns the first.
+const NEXT_ROUND_SCRIPT = `
+  local current = tonumber(redis.call('GET', KEYS[2]) or '0')
+  local last = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+  local round = math.max(last, current) + 1
+  redis.call('HSET', KEYS[1], ARGV[1], round + tonumber(ARGV[2]) - 1)
+  return round
+`;
+
+const MARK_STARTED_SCRIPT = `
+  local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+  if tonumber(ARGV[1]) > current then
+    redis.call('SET', KEYS[1], ARGV[1])
+  end
+  return 1
+`;
+
+class TrafficLanes {
+  // The notification lane keeps the original queue name so jobs queued
+  // before lanes existed are still processed
+  queueName(lane) {
+    return lane === 'notification' ? config.queue.name : `${config.queue.name}-${lane}`;
+  }
+
+  concurrency(lane) {
+    return config.queue.lanes[lane].concurrency;
+  }
+
+  resolve(trafficClass, fallback = config.queue.defaultTrafficClass) {
+    const lane = trafficClass || fallback;
+
+    if (!TRAFFIC_CLASSES.includes(lane)) {
+      throw new ValidationError(`trafficClass must be one of: ${TRAFFIC_CLASSES.join(', ')}`);
+    }
+
+    return lane;
+  }
+
+  // Job IDs carry their lane so a job can be found without asking every queue
+  createJobId(lane) {
+    return `${lane}-${crypto.randomUUID()}`;
+  }
+
+  laneForJobId(jobId) {
+    const prefix = String(jobId).split('-')[0];
+    return TRAFFIC_CLASSES.includes(prefix) ? prefix : 'notification';
+  }
+
+  roundsKey(lane) {
+    return `sms_lane_rounds:${lane}`;
+  }
+
+  currentRoundKey(lane) {
+    return `sms_lane_round:${lane}`;
+  }
+
+  // Priority for a tenant's next job in a lane
+  async nextPriority(lane, tenantId) {
+    const [priority] = await this.nextPriorities(lane, tenantId, 1);
+    return priority;
+  }
+
+  // Priorities for a batch of a tenant's jobs, reserved in one call
+  async nextPriorities(lane, tenantId, count) {
+    const redis = redisClient.getClient();
+    const round = await redis.eval(NEXT_ROUND_SCRIPT, 2, this.roundsKey(lane), this.currentRoundKey(lane), tenantId || 'global', count);
+    return Array.from({ length: count }, (_, index) => Math.min(round + index, MAX_PRIORITY));
+  }
+
+  async markStarted(lane, priority) {
+    const redis = redisClient.getClient();
+
+    try {
+      await redis.eval(MARK_STARTED_SCRIPT, 1, this.currentRoundKey(lane), priority || 0);
+    } catch (error) {
+      console.error('Failed to advance lane round:', error);
+    }
+  }
+
+  // Start counting rounds from zero again once a lane has emptied
+  async reset(lane) {
+    const redis = redisClient.getClient();
+    await redis.del(this.roundsKey(lane), this.currentRoundKey(lane));
+  }
+}
+
+export const trafficLanes = new TrafficLanes();
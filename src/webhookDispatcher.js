@@ -0,0 +1,395 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { Worker, Queue, UnrecoverableError } from 'bullmq';
+import { config } from './config.js';
+import { redisClient } from './redis.js';
+
+// Loopback, private, link-local (cloud metadata included), CGNAT and
+// unspecified addresses. Webhooks never go there unless explicitly allowed.
+// BlockList matches IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export const WEBHOOK_EVENTS = ['sms.completed', 'sms.failed', 'sms.delivery_report', 'budget.warning', 'budget.exceeded'];
+
+// Delivers job outcome events to client applications. Each HTTP delivery is
+// its own BullMQ job so slow or failing endpoints never hold up SMS sending.
+class WebhookDispatcher {
+  constructor() {
+    this.queue = null;
+    this.worker = null;
+    this.historyTtlSeconds = config.webhooks.historyTtlSeconds;
+  }
+
+  async initialize() {
+    try {
+      this.queue = new Queue(config.webhooks.queueName, {
+        connection: config.queue.connection
+      });
+
+      this.worker = new Worker(
+        config.webhooks.queueName,
+        this.processWebhookJob.bind(this),
+        {
+          connection: config.queue.connection,
+          concurrency: config.webhooks.concurrency
+        }
+      );
+
+      this.worker.on('failed', (job, err) => {
+        console.error(`Webhook delivery ${job.data.deliveryId} to ${job.data.url} failed:`, err.message);
+
+        if (err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1)) {
+          this.updateDelivery(job.data.deliveryId, { status: 'failed' });
+        }
+      });
+
+      this.worker.on('error', (err) => {
+        console.error('Webhook worker error:', err);
+      });
+
+      console.log('Webhook dispatcher initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize webhook dispatcher:', error);
+      throw error;
+    }
+  }
+
+  // Fan an event out to the job's callbackUrl and any subscriptions for its identifier
+  async dispatch(event, { jobId, identifier, callbackUrl }, data) {
+    try {
+      const targets = [];
+
+      if (callbackUrl) {
+        targets.push({ url: callbackUrl, subscriptionId: null });
+      }
+
+      if (identifier) {
+        const subscriptions = await this.listSubscriptions(identifier, { includeSecret: false });
+        subscriptions
+          .filter(subscription => subscription.events.includes(event))
+          .forEach(subscription => targets.push({ url: subscription.url, subscriptionId: subscription.id }));
+      }
+
+      for (const target of targets) {
+        await this.enqueueDelivery(event, { jobId, identifier }, target, data);
+      }
+    } catch (error) {
+      console.error(`Failed to dispatch ${event} webhook for job ${jobId}:`, error);
+    }
+  }
+
+  // Fan a tenant-wide event (budget.warning, budget.exceeded) out to the
+  // subscriptions of every identifier in the tenant
+  async dispatchToTenant(event, tenantId, { jobId = null } = {}, data) {
+    try {
+      const redis = redisClient.getClient();
+      const identifiers = await redis.smembers(this.tenantIdentifiersKey(tenantId));
+
+      for (const identifier of identifiers) {
+        const subscriptions = await this.listSubscriptions(identifier, { includeSecret: false });
+        for (const subscription of subscriptions.filter(subscription => subscription.events.includes(event))) {
+          await this.enqueueDelivery(event, { jobId, identifier }, { url: subscription.url, subscriptionId: subscription.id }, data);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to dispatch ${event} webhook for tenant ${tenantId || 'global'}:`, error);
+    }
+  }
+
+  async enqueueDelivery(event, { jobId, identifier }, { url, subscriptionId }, data) {
+    const redis = redisClient.getClient();
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+      id: deliveryId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: { jobId, identifier, ...data }
+    };
+
+    const delivery = {
+      id: deliveryId,
+      event,
+      jobId,
+      url,
+      subscriptionId,
+      status: 'pending',
+      attempts: [],
+      createdAt: payload.createdAt
+    };
+
+    await redis.setex(this.deliveryKey(deliveryId), this.historyTtlSeconds, JSON.stringify(delivery));
+    if (jobId) {
+      await redis.rpush(this.jobDeliveriesKey(jobId), deliveryId);
+      await redis.expire(this.jobDeliveriesKey(jobId), this.historyTtlSeconds);
+    }
+
+    await this.queue.add('deliver-webhook', { deliveryId, identifier, url, subscriptionId, payload }, {
+      attempts: config.webhooks.maxAttempts,
+      backoff: {
+        type: 'exponential',
+        delay: config.webhooks.retryDelay
+      },
+      removeOnComplete: 100,
+      removeOnFail: 100
+    });
+  }
+
+  isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  hostnameOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  }
+
+  // An http(s) URL whose host is not a private address or localhost. Names
+  // are checked again against their DNS answers when each delivery is sent.
+  isAllowedUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return false;
+    }
+
+    if (config.webhooks.allowPrivateTargets) {
+      return true;
+    }
+
+    const hostname = this.hostnameOf(parsed);
+    return hostname !== 'localhost' && !hostname.endsWith('.localhost') && !this.isPrivateAddress(hostname);
+  }
+
+  async assertPublicTarget(url) {
+    if (config.webhooks.allowPrivateTargets) {
+      return;
+    }
+
+    if (!this.isAllowedUrl(url)) {
+      throw new UnrecoverableError(`Webhook URL is not allowed: ${url}`);
+    }
+
+    const hostname = this.hostnameOf(new URL(url));
+    if (net.isIP(hostname)) {
+      return;
+    }
+
+    const addresses = await dns.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => this.isPrivateAddress(address));
+    if (blocked) {
+      throw new UnrecoverableError(`Webhook host ${hostname} resolves to a private address (${blocked.address})`);
+    }
+  }
+
+  async processWebhookJob(job) {
+    const { deliveryId, identifier, url, subscriptionId, payload } = job.data;
+    const secret = await this.getSigningSecret(identifier, subscriptionId);
+
+    // Retrying cannot help until someone sets WEBHOOK_SIGNING_SECRET
+    if (!secret) {
+      throw new UnrecoverableError('No webhook signing secret configured');
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = {
+      attempt: job.attemptsMade + 1,
+      at: new Date().toISOString(),
+      statusCode: null,
+      error: null,
+      durationMs: null
+    };
+    const start = Date.now();
+
+    try {
+      await this.assertPublicTarget(url);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': deliveryId,
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+        },
+        body,
+        // A redirect could point anywhere, including a private address
+        redirect: config.webhooks.allowPrivateTargets ? 'follow' : 'error',
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      });
+
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        throw new Error(`Webhook endpoint responded with HTTP ${response.status}`);
+      }
+
+      attempt.durationMs = Date.now() - start;
+      await this.recordAttempt(deliveryId, attempt, 'delivered');
+      return { statusCode: response.status };
+
+    } catch (error) {
+      attempt.durationMs = Date.now() - start;
+      attempt.error = error.message;
+      await this.recordAttempt(deliveryId, attempt, 'retrying');
+      throw error;
+    }
+  }
+
+  // Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`)
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async getSigningSecret(identifier, subscriptionId) {
+    if (subscriptionId && identifier) {
+      const redis = redisClient.getClient();
+      const subscription = await redis.hget(this.subscriptionsKey(identifier), subscriptionId);
+      if (subscription) {
+        return JSON.parse(subscription).secret;
+      }
+    }
+
+    return config.webhooks.signingSecret;
+  }
+
+  async recordAttempt(deliveryId, attempt, status) {
+    const redis = redisClient.getClient();
+
+    try {
+      const delivery = await this.getDelivery(deliveryId);
+      if (!delivery) {
+        return;
+      }
+
+      delivery.attempts.push(attempt);
+      delivery.status = status;
+      await redis.setex(this.deliveryKey(deliveryId), this.historyTtlSeconds, JSON.stringify(delivery));
+    } catch (error) {
+      console.error('Failed to record webhook attempt:', error);
+    }
+  }
+
+  async updateDelivery(deliveryId, changes) {
+    const redis = redisClient.getClient();
+
+    try {
+      const delivery = await this.getDelivery(deliveryId);
+      if (!delivery) {
+        return;
+      }
+
+      await redis.setex(this.deliveryKey(deliveryId), this.historyTtlSeconds, JSON.stringify({ ...delivery, ...changes }));
+    } catch (error) {
+      console.error('Failed to update webhook delivery:', error);
+    }
+  }
+
+  async getDelivery(deliveryId) {
+    const redis = redisClient.getClient();
+    const delivery = await redis.get(this.deliveryKey(deliveryId));
+    return delivery ? JSON.parse(delivery) : null;
+  }
+
+  async getDeliveriesForJob(jobId) {
+    const redis = redisClient.getClient();
+
+    try {
+      const deliveryIds = await redis.lrange(this.jobDeliveriesKey(jobId), 0, -1);
+      const deliveries = await Promise.all(deliveryIds.map(deliveryId => this.getDelivery(deliveryId)));
+      return deliveries.filter(Boolean);
+    } catch (error) {
+      console.error('Failed to get webhook deliveries:', error);
+      return [];
+    }
+  }
+
+  async createSubscription(identifier, { url, events = WEBHOOK_EVENTS, tenantId = null }) {
+    const redis = redisClient.getClient();
+    const subscription = {
+      id: crypto.randomUUID(),
+      identifier,
+      tenantId,
+      url,
+      events,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    await redis.multi()
+      .hset(this.subscriptionsKey(identifier), subscription.id, JSON.stringify(subscription))
+      .sadd(this.tenantIdentifiersKey(tenantId), identifier)
+      .exec();
+    return subscription;
+  }
+
+  async listSubscriptions(identifier, { includeSecret = false } = {}) {
+    const redis = redisClient.getClient();
+    const subscriptions = await redis.hvals(this.subscriptionsKey(identifier));
+
+    return subscriptions.map(subscription => {
+      const { secret, ...rest } = JSON.parse(subscription);
+      return includeSecret ? { ...rest, secret } : rest;
+    });
+  }
+
+  async deleteSubscription(identifier, subscriptionId) {
+    const redis = redisClient.getClient();
+    const subscription = await redis.hget(this.subscriptionsKey(identifier), subscriptionId);
+    if (!subscription) {
+      return false;
+    }
+
+    await redis.hdel(this.subscriptionsKey(identifier), subscriptionId);
+
+    // Drop the identifier from its tenant once its last subscription is gone
+    if (await redis.hlen(this.subscriptionsKey(identifier)) === 0) {
+      await redis.srem(this.tenantIdentifiersKey(JSON.parse(subscription).tenantId), identifier);
+    }
+    return true;
+  }
+
+  subscriptionsKey(identifier) {
+    return `webhook_subscriptions:${identifier}`;
+  }
+
+  // Identifiers with subscriptions, per tenant
+  tenantIdentifiersKey(tenantId) {
+    return `webhook_subscription_identifiers:${tenantId || 'global'}`;
+  }
+
+  deliveryKey(deliveryId) {
+    return `webhook_delivery:${deliveryId}`;
+  }
+
+  jobDeliveriesKey(jobId) {
+    return `webhook_deliveries:job:${jobId}`;
+  }
+
+  async close() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      console.log('Webhook dispatcher closed');
+    } catch (error) {
+      console.error('Failed to close webhook dispatcher:', error);
+      throw error;
+    }
+  }
+}
+
+export const webhookDispatcher = new WebhookDispatcher();
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { csvParser } from '../src/csvParser.js';
+
+async function parse(text, options) {
+  const rows = [];
+  for await (const row of csvParser.parse(Readable.from([text]), options)) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+test('maps each row to the header and numbers it by its first line', async () => {
+  const rows = await parse('to,name\n+254712345678,Ann\n\n+254712345679, Bob \n');
+
+  assert.deepEqual(rows, [
+    { row: 2, fields: { to: '+254712345678', name: 'Ann' } },
+    { row: 4, fields: { to: '+254712345679', name: 'Bob' } }
+  ]);
+});
+
+test('reads quoted commas, escaped quotes and line breaks', async () => {
+  const rows = await parse('to,deal\n+1,"10% off, today"\n+2,"say ""hi"""\n+3,"two\nlines"\n+4,x\n');
+
+  assert.deepEqual(rows.map(({ row, fields }) => [row, fields.deal]), [
+    [2, '10% off, today'],
+    [3, 'say "hi"'],
+    [4, 'two\nlines'],
+    [6, 'x']
+  ]);
+});
+
+test('fills missing columns with empty strings and ignores extra ones', async () => {
+  const rows = await parse('to,name,deal\n+1,Ann\n+2,Bob,x,extra\n');
+
+  assert.deepEqual(rows.map(({ fields }) => fields), [
+    { to: '+1', name: 'Ann', deal: '' },
+    { to: '+2', name: 'Bob', deal: 'x' }
+  ]);
+});
+
+test('handles CRLF line endings', async () => {
+  const rows = await parse('to,name\r\n+1,"a\r\nb"\r\n+2,c\r\n');
+
+  assert.deepEqual(rows.map(({ fields }) => fields.name), ['a\nb', 'c']);
+});
+
+test('reports a quote left open at the end of the file and reads the lines after it', async () => {
+  const rows = await parse('to,name\n+1,"stray\n+2,ok\n+3,ok\n');
+
+  assert.deepEqual(rows, [
+    { row: 2, error: 'Unterminated quoted field' },
+    { row: 3, fields: { to: '+2', name: 'ok' } },
+    { row: 4, fields: { to: '+3', name: 'ok' } }
+  ]);
+});
+
+test('gives up on a quoted field longer than maxRecordLength and resumes on the next line', async () => {
+  const lines = Array.from({ length: 10 }, (_, index) => `+${index + 2},ok`);
+  const rows = await parse(`to,name\n+1,"stray\n${lines.join('\n')}\n`, { maxRecordLength: 20 });
+
+  assert.deepEqual(rows[0], { row: 2, error: 'Unterminated quoted field' });
+  assert.deepEqual(rows.slice(1).map(({ row, fields }) => [row, fields.to]), lines.map((line, index) => [index + 3, line.split(',')[0]]));
+});
+
+test('reads two stray quotes within maxRecordLength as one multi-line field', async () => {
+  const rows = await parse('to,name\n+1,"a\n+2,ok\n+3,"b\n+4,ok\n');
+
+  assert.deepEqual(rows, [
+    { row: 2, fields: { to: '+1', name: 'a\n+2,ok\n+3,b' } },
+    { row: 5, fields: { to: '+4', name: 'ok' } }
+  ]);
+});
+
+test('reports each stray quote once when they are further apart than maxRecordLength', async () => {
+  const rows = await parse('to,name\n+1,"a\n+2,ok\n+3,"b\n+4,ok\n', { maxRecordLength: 10 });
+
+  assert.deepEqual(rows.map(row => row.error || row.fields.to), ['Unterminated quoted field', '+2', 'Unterminated quoted field', '+4']);
+});
+
+test('fails the file when the header has an unterminated quote', async () => {
+  await assert.rejects(parse('to,"name\n+1,Ann\n+2,Bob\n'), /header on line 1 has an unterminated quoted field/);
+});
+
+test('yields nothing for an empty file or a header alone', async () => {
+  assert.deepEqual(await parse(''), []);
+  assert.deepEqual(await parse('to,name\n'), []);
+});